@@ -1,8 +1,60 @@
 require('dotenv').config();
 
+const path = require('path');
+const PROJECTS_DIR = path.resolve(__dirname, "uploads");
+
 module.exports = {
     PORT: 5002,
-    PROJECTS_DIR: require('path').resolve(__dirname, "uploads"),
+    PROJECTS_DIR,
+    REGISTRY_PATH: path.join(PROJECTS_DIR, "deployments.json"),
+    BUILD_LOGS_DIR: path.join(PROJECTS_DIR, ".build-logs"),
+    PROGRESS_BUFFER_SIZE: parseInt(process.env.PROGRESS_BUFFER_SIZE, 10) || 500,
+    PROGRESS_SESSION_TTL: 60 * 60 * 1000,
+    MAX_CONCURRENT_BUILDS: parseInt(process.env.MAX_CONCURRENT_BUILDS, 10) || 2,
+    JOB_RETENTION: 60 * 60 * 1000,
+    MAX_ARCHIVE_SIZE: 100 * 1024 * 1024,
+    MAX_EXTRACTED_SIZE: 500 * 1024 * 1024,
+    MAX_ARCHIVE_FILES: 20000,
+    MAX_UPLOAD_FILES: 5000,
+    MAX_UPLOAD_FILE_SIZE: 10 * 1024 * 1024,
+    // Base64 inflates content by a third, this keeps JSON uploads under the 50mb body limit
+    MAX_UPLOAD_SIZE: 30 * 1024 * 1024,
+    GIT_TIMEOUT: 10 * 60 * 1000,
+    // Readiness probe defaults, in seconds
+    READINESS_TIMEOUT: 60,
+    READINESS_INTERVAL: 2,
+    DEFAULT_RESTART_POLICY: process.env.DEFAULT_RESTART_POLICY || "unless-stopped",
+    // A deployment whose container dies this often within the window is crash-looping
+    CRASH_LOOP_THRESHOLD: 3,
+    CRASH_LOOP_WINDOW: 5 * 60 * 1000,
+    LIFECYCLE_HISTORY_SIZE: 50,
+    // Per-deployment resource limits, requests may ask for anything up to the maximum.
+    // Memory uses the docker CLI notation (b, k, m or g suffix).
+    DEFAULT_MEMORY: process.env.DEFAULT_MEMORY || "512m",
+    MAX_MEMORY: process.env.MAX_MEMORY || "2g",
+    DEFAULT_CPUS: parseFloat(process.env.DEFAULT_CPUS) || 1,
+    MAX_CPUS: parseFloat(process.env.MAX_CPUS) || 2,
+    DEFAULT_PIDS_LIMIT: parseInt(process.env.DEFAULT_PIDS_LIMIT, 10) || 256,
+    MAX_PIDS_LIMIT: parseInt(process.env.MAX_PIDS_LIMIT, 10) || 1024,
+    // Encrypts deployment env vars at rest. Without it a key is generated into SECRETS_KEY_PATH.
+    SECRETS_KEY: process.env.DEPLOYIFY_SECRETS_KEY,
+    SECRETS_KEY_PATH: path.join(PROJECTS_DIR, ".secrets.key"),
+    MAX_ENV_VARS: 200,
+    MAX_ENV_VALUE_SIZE: 32 * 1024,
+    // Routes <project>.<PROXY_BASE_DOMAIN> (and <project>.localhost) to each deployment, 0 turns it off
+    PROXY_PORT: process.env.PROXY_PORT !== undefined ? parseInt(process.env.PROXY_PORT, 10) : 8080,
+    PROXY_BASE_DOMAIN: (process.env.PROXY_BASE_DOMAIN || "localhost").toLowerCase(),
+    // Proxies in front of the reverse proxy that append to X-Forwarded-For, IP access rules
+    // check the address the outermost of them saw
+    PROXY_TRUSTED_HOPS: parseInt(process.env.PROXY_TRUSTED_HOPS, 10) || 0,
+    // Default tunnel provider for new deployments: ngrok, localtunnel, local or proxy
+    TUNNEL_PROVIDER: process.env.TUNNEL_PROVIDER || "ngrok",
+    LOCALTUNNEL_HOST: process.env.LOCALTUNNEL_HOST || "https://localtunnel.me",
+    // Hostname the local provider advertises next to each deployment's published port
+    PUBLIC_HOST: process.env.PUBLIC_HOST || "localhost",
     NGROK_AUTHTOKEN: process.env.NGROK_AUTHTOKEN,
-    NGROK_APITOKEN: process.env.NGROK_APITOKEN
+    NGROK_APITOKEN: process.env.NGROK_APITOKEN,
+    // Point this at a stand-in to run against something other than the real ngrok API
+    NGROK_API_URL: (process.env.NGROK_API_URL || "https://api.ngrok.com").replace(/\/+$/, ""),
+    NGROK_REGION: process.env.NGROK_REGION || "us"
 };
\ No newline at end of file
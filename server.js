@@ -1,13 +1,31 @@
 const express = require("express");
 const http = require("http");
 const cors = require("cors");
+const os = require("os");
 const multer = require("multer");
-const { PORT } = require("./config");
+const { PORT, MAX_ARCHIVE_SIZE, PROXY_PORT, PROXY_BASE_DOMAIN } = require("./config");
 const progressService = require("./services/progressService");
 const deploymentService = require("./services/deploymentService");
 const mongoDeploymentService = require("./services/mongoDeploymentService");
+const lifecycleService = require("./services/lifecycleService");
+const logService = require("./services/logService");
+const jobService = require("./services/jobService");
+const eventService = require("./services/eventService");
+const tunnelService = require("./services/tunnelService");
+const proxyService = require("./services/proxyService");
+const reservationService = require("./services/reservationService");
+const domainService = require("./services/domainService");
+const accessService = require("./services/accessService");
+const {
+    validateDeployRequest,
+    validateRedeployRequest,
+    validateEnvRequest,
+    validateDomainRequest,
+    validateAccessRequest
+} = require("./services/validationService");
 
-const upload = multer({ dest: "uploads/" });
+// Project archives arrive as the "archive" field of a multipart request
+const upload = multer({ dest: os.tmpdir(), limits: { fileSize: MAX_ARCHIVE_SIZE, files: 1 } });
 const app = express();
 const server = http.createServer(app);
 
@@ -15,7 +33,7 @@ progressService.init(server);
 
 app.use(cors({
     origin: "*",
-    methods: ["GET", "POST"],
+    methods: ["GET", "POST", "PUT", "DELETE"],
     allowedHeaders: ["Content-Type"],
 }));
 app.use(express.json({ limit: "50mb" }));
@@ -25,24 +43,72 @@ app.get("/health", (req, res) => {
     res.status(200).json({ message: "Server is running" });
 });
 
-app.post("/upload", upload.none(), async (req, res) => {
+app.post("/upload", upload.single("archive"), validateDeployRequest, jobService.enqueue("deploy", async (req, res) => {
     const { language } = req.body;
     if (language === "mongodb") {
         return mongoDeploymentService.deployMongoDB(req, res);
     } else {
         return deploymentService.deployApplication(req, res);
     }
+}));
+
+app.get("/proxy/routes", proxyService.listRoutes);
+app.get("/admin/ngrok/reservations", reservationService.listReservations);
+app.delete("/admin/ngrok/reservations/:id", reservationService.releaseReservation);
+app.get("/jobs", jobService.listJobs);
+app.get("/jobs/:id", jobService.getJob);
+app.post("/jobs/:id/cancel", jobService.cancelJob);
+
+app.get("/deployments", lifecycleService.listDeployments);
+app.get("/deployments/:name", lifecycleService.getDeployment);
+app.put("/deployments/:name", upload.single("archive"), validateRedeployRequest, jobService.enqueue("redeploy", deploymentService.redeployApplication));
+app.get("/deployments/:name/logs", logService.getLogs);
+app.get("/deployments/:name/events", eventService.getEvents);
+app.get("/deployments/:name/env", lifecycleService.getEnvironment);
+app.put("/deployments/:name/env", validateEnvRequest, jobService.enqueue("configure", deploymentService.updateEnvironment));
+app.get("/deployments/:name/access", accessService.getAccess);
+app.put("/deployments/:name/access", validateAccessRequest, jobService.enqueue("configure", accessService.updateAccess));
+app.delete("/deployments/:name/access", jobService.enqueue("configure", accessService.clearAccess));
+app.get("/deployments/:name/domains", domainService.listDomains);
+app.post("/deployments/:name/domains", validateDomainRequest, jobService.enqueue("configure", domainService.addDomain));
+app.post("/deployments/:name/domains/:domain/verify", jobService.enqueue("configure", domainService.verifyDomain));
+app.delete("/deployments/:name/domains/:domain", jobService.enqueue("configure", domainService.removeDomain));
+app.get("/deployments/:name/releases", lifecycleService.listReleases);
+app.get("/deployments/:name/releases/:release/log", lifecycleService.getReleaseLog);
+app.post("/deployments/:name/rollback", jobService.enqueue("rollback", deploymentService.rollbackApplication));
+app.post("/deployments/:name/cancel", jobService.cancelProjectJob);
+app.post("/deployments/:name/stop", lifecycleService.stopDeployment);
+app.post("/deployments/:name/start", lifecycleService.startDeployment);
+app.post("/deployments/:name/restart", lifecycleService.restartDeployment);
+app.delete("/deployments/:name", jobService.requireIdle, lifecycleService.deleteDeployment);
+
+app.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        return res.status(err.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({ error: err.message });
+    }
+    return next(err);
 });
 
 server.listen(PORT, () => {
     console.log(`Server is running on http://localhost:${PORT}`);
     console.log(`WebSocket server is running on ws://localhost:${PORT}`);
+    eventService.watchContainerEvents();
+    mongoDeploymentService.sealStoredCredentials();
+    tunnelService.restoreTunnels();
 
-    if (!process.env.NGROK_AUTHTOKEN) {
-        console.warn("WARNING: NGROK_AUTHTOKEN is not set. Ngrok tunnels will not work.");
+    const provider = tunnelService.getProvider();
+    console.log(`New deployments are published through ${provider.name}`);
+    if (provider.missingConfiguration()) {
+        console.warn(`WARNING: ${provider.missingConfiguration()} Tunnels through ${provider.name} will not work.`);
     }
 });
 
+if (PROXY_PORT) {
+    proxyService.createProxyServer().listen(PROXY_PORT, () => {
+        console.log(`Reverse proxy is routing <project>.${PROXY_BASE_DOMAIN} on http://localhost:${PROXY_PORT}`);
+    });
+}
+
 process.on("SIGINT", () => {
     console.log("Shutting down server...");
     console.log("Server shutdown complete");
@@ -0,0 +1,136 @@
+const { encrypt } = require("./secretService");
+const { docker, findContainer } = require("./dockerService");
+const { getProvider, tunnelFor, republishTunnel } = require("./tunnelService");
+const registry = require("./registryService");
+
+const RULE_LABELS = { basicAuth: "basic auth", ips: "IP allow and deny lists", oauth: "OAuth logins" };
+
+// Kinds of rule in use, for access rules as stored or as sent in a request
+function ruleKinds(access) {
+    if (!access) return [];
+    const kinds = [];
+    if (access.basicAuth && access.basicAuth.length) kinds.push("basicAuth");
+    if ((access.allow && access.allow.length) || (access.deny && access.deny.length)) kinds.push("ips");
+    if (access.oauth) kinds.push("oauth");
+    return kinds;
+}
+
+// Applies a request's access fields to the stored rules. Fields that are left out keep their
+// value and null clears them, a basic auth user sent without a password keeps the stored one.
+function mergeAccess(stored, update = {}) {
+    if (!update) return null;
+    const current = stored || { basicAuth: [], allow: [], deny: [], oauth: null };
+    const next = { ...current };
+
+    if (update.basicAuth !== undefined) {
+        next.basicAuth = (update.basicAuth || []).map(({ username, password }) => ({
+            username,
+            password: password ? encrypt(password) : current.basicAuth.find(user => user.username === username).password
+        }));
+    }
+    if (update.allow !== undefined) next.allow = update.allow || [];
+    if (update.deny !== undefined) next.deny = update.deny || [];
+    if (update.oauth !== undefined) {
+        next.oauth = update.oauth ? {
+            provider: update.oauth.provider,
+            emailDomains: (update.oauth.emailDomains || []).map(domain => domain.toLowerCase()),
+            emails: (update.oauth.emails || []).map(email => email.toLowerCase())
+        } : null;
+    }
+
+    if (!ruleKinds(next).length) return null;
+    return { ...next, updatedAt: new Date().toISOString() };
+}
+
+// Passwords are never handed back, only the users they belong to
+function describeAccess(access) {
+    if (!access) return null;
+    return {
+        basicAuth: access.basicAuth.map(({ username }) => ({ username })),
+        allow: access.allow,
+        deny: access.deny,
+        oauth: access.oauth,
+        updatedAt: access.updatedAt
+    };
+}
+
+// Containers created before app ports were bound to loopback publish them on every interface,
+// where anyone can reach the app around the rules
+async function publiclyBound(projectName) {
+    const container = await findContainer(`deployify-${projectName}`);
+    if (!container) return false;
+    const info = await docker.getContainer(container.Id).inspect();
+    return Object.values(info.HostConfig.PortBindings || {})
+        .some(bindings => (bindings || []).some(binding => !binding.HostIp || binding.HostIp === "0.0.0.0" || binding.HostIp === "::"));
+}
+
+async function getAccess(req, res) {
+    const record = registry.getDeployment(req.params.name);
+    if (!record) {
+        return res.status(404).json({ error: `Deployment '${req.params.name}' not found.` });
+    }
+    return res.status(200).json({ access: describeAccess(record.access) });
+}
+
+// The proxy reads the rules on every request, a tunnel that enforces them itself is replaced
+// with one running the new rules. Nothing is rebuilt.
+async function applyAccess(req, res, update) {
+    const projectName = req.params.name;
+
+    try {
+        const record = registry.getDeployment(projectName);
+        if (!record) {
+            return res.status(404).json({ error: `Deployment '${projectName}' not found.` });
+        }
+        const provider = getProvider(tunnelFor(record, projectName).provider);
+        const unavailable = provider.missingConfiguration();
+        if (unavailable) {
+            return res.status(500).json({ error: unavailable });
+        }
+
+        const access = mergeAccess(record.access, update);
+        if (ruleKinds(access).length && await publiclyBound(projectName)) {
+            return res.status(409).json({
+                error: `Deployment '${projectName}' publishes its port on every interface, where access rules cannot be enforced. Redeploy it first.`
+            });
+        }
+        registry.saveDeployment(projectName, { access });
+        let applied = true;
+        if (provider.rendersAccess) {
+            try {
+                applied = await republishTunnel(projectName);
+            } catch (error) {
+                registry.saveDeployment(projectName, { access: record.access || null });
+                return res.status(502).json({
+                    error: `The ${provider.name} tunnel could not apply the new access rules, the previous ones stay in place: ${error.message}`
+                });
+            }
+        }
+
+        return res.status(200).json({
+            message: applied ? "Access rules updated" : "Access rules saved, they apply when the deployment is started",
+            applied,
+            access: describeAccess(access)
+        });
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: `Failed to update access rules: ${error.message}` });
+    }
+}
+
+function updateAccess(req, res) {
+    return applyAccess(req, res, req.body);
+}
+
+function clearAccess(req, res) {
+    return applyAccess(req, res, null);
+}
+
+module.exports = {
+    RULE_LABELS,
+    ruleKinds,
+    mergeAccess,
+    describeAccess,
+    getAccess,
+    updateAccess,
+    clearAccess
+};
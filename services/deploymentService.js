@@ -1,25 +1,57 @@
 const fs = require("fs");
 const path = require("path");
-const { PROJECTS_DIR, NGROK_AUTHTOKEN } = require("../config");
-const { sendProgress } = require("./progressService");
-const { ensureImageExists, cleanupContainer, docker, buildImageWithRetry, createAndStartContainer } = require("./dockerService");
-const { createNgrokReservedDomain, createNgrokReservedAddress, generateNgrokConfig } = require("./ngrokService");
-const { getAvailablePort } = require("../utils");
+const { PROJECTS_DIR, DEFAULT_RESTART_POLICY } = require("../config");
+const { sendProgress, sendLog, sendWarning, sendError, sendResult } = require("./progressService");
+const {
+    ensureImageExists,
+    cleanupContainer,
+    docker,
+    buildImageWithRetry,
+    createAndStartContainer,
+    findContainer,
+    execInContainer,
+    listListeningPorts,
+    readinessProbe,
+    describeProbe,
+    waitForReady,
+    listProjectImages,
+    removeImage,
+    pullLogger
+} = require("./dockerService");
+const { getProvider, tunnelFor, sidecarName, publishedDomains, replaceTunnel } = require("./tunnelService");
+const { getAvailablePort, createRollback, throwIfCancelled } = require("../utils");
+const registry = require("./registryService");
+const { extractArchive, fetchGitSource, describeGitSource, resolveInside, pruneIgnoredFiles } = require("./sourceService");
+const { setJobState } = require("./jobService");
+const { detectProject } = require("./detectionService");
+const { resolvePort, validPort } = require("./portService");
+const { attachDiagnostics } = require("./logService");
+const { resolveLimits } = require("./resourceService");
+const { mergeEnv, containerEnv, buildArgs, describeEnv, secretValues, isBuildTime } = require("./secretService");
+const { mergeAccess } = require("./accessService");
+
+// Any HTTP answer from the app's root counts as ready unless the request asks for more
+const DEFAULT_READINESS = { type: "http", path: "/" };
 
 async function deployApplication(req, res) {
-    const { projectName, files, language, runCommand } = req.body;
+    const { projectName, files, source, language, port, runCommand } = req.body;
+    const readiness = readinessProbe(req.body.readiness, DEFAULT_READINESS);
+    const restartPolicy = req.body.restartPolicy || DEFAULT_RESTART_POLICY;
+    const limits = resolveLimits(req.body);
+    const storedEnv = mergeEnv({}, req.body);
     const sessionId = req.query.sessionId;
+    const signal = req.job ? req.job.signal : undefined;
     const isMongoDB = language === "mongodb";
+    const provider = getProvider(req.body.tunnel);
+    const tunnelType = isMongoDB ? "tcp" : "http";
+    const rollback = createRollback();
 
-    if (!NGROK_AUTHTOKEN) {
-        return res.status(500).json({ error: "Missing ngrok auth token configuration." });
+    const unavailable = provider.missingConfiguration();
+    if (unavailable) {
+        return res.status(500).json({ error: unavailable });
     }
 
     try {
-        if (!projectName || !files || !Array.isArray(files) || !language) {
-            return res.status(400).json({ error: "Invalid request data." });
-        }
-
         const projectPath = path.join(PROJECTS_DIR, projectName);
         const containerName = `deployify-${projectName}`;
 
@@ -30,178 +62,879 @@ async function deployApplication(req, res) {
             });
         }
 
+        const isNewRecord = !registry.getDeployment(projectName);
+        registry.saveDeployment(projectName, {
+            type: "application",
+            language,
+            runCommand: runCommand || null,
+            requestedPort: validPort(port),
+            readiness,
+            restartPolicy,
+            limits,
+            env: storedEnv,
+            access: mergeAccess(null, req.body.access),
+            source: source ? describeGitSource(source) : null,
+            containerName,
+            status: "deploying",
+            error: null
+        });
+        // A cancelled first deploy leaves no trace, a failed one stays visible with its error
+        rollback.add("registry record", () => {
+            if (isNewRecord && signal && signal.aborted) registry.removeDeployment(projectName);
+        });
+
         // Step 1: Generate a random port
         sendProgress(sessionId, 5, "Generating container port...");
         const containerPort = await getAvailablePort();
+        throwIfCancelled(signal);
+
+        // Step 2: Reserve the public endpoint
+        sendProgress(sessionId, 10, `Reserving ${provider.name} endpoint...`);
+        const endpoint = await provider.reserve({ projectName, type: tunnelType });
+        rollback.add(`${provider.name} reservation`, () => provider.release(endpoint, tunnelType));
+        registry.saveDeployment(projectName, {
+            tunnel: { provider: provider.name, type: tunnelType, endpoint },
+            exposedPort: containerPort
+        });
+        throwIfCancelled(signal);
+
+        // Create project directory and save files
+        rollback.add("project directory", () => fs.rmSync(projectPath, { recursive: true, force: true }));
+        const { config, internalPort, checkout, language: projectLanguage, detection, port: portResolution } = await prepareProject(projectPath, {
+            files,
+            archive: req.file,
+            source,
+            language,
+            port,
+            runCommand,
+            readiness,
+            buildEnv: buildArgs(storedEnv),
+            containerPort,
+            sessionId,
+            signal
+        });
+        registry.saveDeployment(projectName, { language: projectLanguage, detection });
+        throwIfCancelled(signal);
+
+        // Build and run the container
+        const release = registry.nextReleaseNumber(projectName);
+        const image = `${containerName}:${release}`;
+        rollback.add("image", () => removeImage(image));
+        if (!(await buildProjectImage({ projectName, release, projectPath, image, config, language: projectLanguage, sessionId, signal }))) {
+            throw new Error("Docker image build failed");
+        }
+        throwIfCancelled(signal);
+
+        // Create and start the container
+        setJobState(req.job, "starting");
+        sendProgress(sessionId, 85, "Creating and starting container...");
+        rollback.add("container", () => cleanupContainer(containerName));
+        const containerResult = await createAndStartContainer({
+            containerName,
+            exposedPort: containerPort,
+            // Only what the provider publishes, and the rules it enforces, stand between the app and the network
+            hostIp: provider.hostIp,
+            image,
+            env: runtimeEnv(internalPort, containerPort, storedEnv),
+            restartPolicy,
+            limits
+        });
+        throwIfCancelled(signal);
+
+        sendProgress(sessionId, 90, "Checking which port the application listens on...");
+        const portProbe = await reconcileListeningPort(containerResult.id, { internalPort, containerPort, sessionId });
+        throwIfCancelled(signal);
+
+        sendProgress(sessionId, 95, `Waiting for the application to become ready (${describeProbe(readiness)})...`);
+        await waitForReady(containerResult.id, readiness, { hostPort: containerPort, port: portProbe.port, signal });
+        throwIfCancelled(signal);
+
+        sendProgress(sessionId, 97, `Starting the ${provider.name} tunnel...`);
+        rollback.add("tunnel", () => provider.stop(sidecarName(projectName)));
+        const tunnel = await provider.start({
+            name: sidecarName(projectName),
+            type: tunnelType,
+            endpoint,
+            domains: publishedDomains(registry.getDeployment(projectName)),
+            access: registry.getDeployment(projectName).access,
+            hostPort: containerPort,
+            restartPolicy,
+            sessionId,
+            signal
+        });
+        if (!(await provider.waitUntilOnline(tunnel, endpoint))) {
+            const error = new Error(`The ${provider.name} tunnel did not come online`);
+            if (tunnel.id) error.containerId = tunnel.id;
+            throw error;
+        }
 
-        // Step 2: Create Ngrok endpoint
-        sendProgress(sessionId, 10, "Creating Ngrok endpoint...");
-        let ngrokEndpoint;
-        let ngrokConfig;
-
-        if (isMongoDB) {
-            ngrokEndpoint = await createNgrokReservedAddress();
-            ngrokConfig = generateNgrokConfig(NGROK_AUTHTOKEN, {
-                name: projectName,
-                type: 'tcp',
-                url: ngrokEndpoint,
-                port: containerPort
+        registry.addRelease(projectName, {
+            release,
+            image,
+            builtAt: new Date().toISOString(),
+            language: projectLanguage,
+            runCommand: runCommand || null,
+            startCommand: config.startCommand,
+            internalPort: portProbe.port,
+            containerPort,
+            readiness,
+            commit: checkout ? checkout.commit : null
+        });
+        registry.setStatus(projectName, "running", {
+            containerId: containerResult.id,
+            image,
+            internalPort: portProbe.port,
+            portProbe,
+            url: tunnel.url,
+            startCommand: config.startCommand,
+            source: checkout,
+            deployedAt: new Date().toISOString()
+        });
+
+        // Send success response
+        sendProgress(sessionId, 100, "Deployment complete! The application is ready");
+        const result = {
+            message: `Application deployed successfully`,
+            url: tunnel.url,
+            internalPort: portProbe.port,
+            exposedPort: containerPort,
+            release,
+            commit: checkout ? checkout.commit : undefined,
+            detection: detection || undefined,
+            port: portResolution,
+            portProbe,
+            variables: describeEnv(storedEnv)
+        };
+        sendResult(sessionId, result);
+        return res.status(200).json(result);
+    } catch (error) {
+        if (registry.isDeploying(projectName)) {
+            registry.setStatus(projectName, failureStatus(error), { error: error.message });
+        }
+        // Read the failed container's exit code and logs before the rollback removes it
+        await attachDiagnostics(error, secretValues(storedEnv));
+        sendProgress(sessionId, 0, "Rolling back partial deployment...");
+        const leftovers = await rollback.run();
+        sendError(sessionId, error.message, { cancelled: Boolean(error.cancelled), leftovers, diagnostics: error.diagnostics });
+        return res.status(error.cancelled ? 409 : error.status || 500).json({
+            error: error.cancelled ? "Deployment cancelled" : `Deployment failed: ${error.message}`,
+            evidence: error.evidence,
+            diagnostics: error.diagnostics,
+            leftovers
+        });
+    }
+}
+
+const BUSY_STATUSES = ["deploying", "redeploying", "rolling-back"];
+
+function failureStatus(error) {
+    if (error.cancelled) return "cancelled";
+    return error.oomKilled ? "oom-killed" : "failed";
+}
+
+function updateConflict(projectName, current, record) {
+    if (!current) {
+        return { status: 404, error: `Deployment '${projectName}' not found.` };
+    }
+    if (record.type === "mongodb") {
+        return { status: 400, error: "MongoDB deployments cannot be redeployed or rolled back." };
+    }
+    if (BUSY_STATUSES.includes(record.status)) {
+        return { status: 409, error: `Deployment '${projectName}' is busy (${record.status}).` };
+    }
+    return null;
+}
+
+// Images built before the tunnel moved to a sidecar install their own ngrok agent next to an
+// ngrok.yml with the authtoken, and their start script runs it whatever the environment says.
+// Only those two steps are matched, build arguments in RUN layers often name ngrok URLs.
+const LEGACY_AGENT_STEPS = [
+    /\bCOPY\b.*\/root\/\.config\/ngrok\/ngrok\.yml/,
+    /\bbin\.equinox\.io\/c\/[^\s]+\/ngrok-v3-stable-linux/
+];
+
+async function embedsNgrokAgent(image) {
+    if (!image) return false;
+    const history = await docker.getImage(image).history();
+    return history.some(layer => LEGACY_AGENT_STEPS.some(step => step.test(layer.CreatedBy || "")));
+}
+
+async function pickHostPort(current) {
+    const currentPorts = (current.Ports || []).map(port => port.PublicPort);
+    let hostPort;
+    do {
+        hostPort = await getAvailablePort();
+    } while (currentPorts.includes(hostPort));
+    return hostPort;
+}
+
+// Runs the image next to the live container and only retires the old one once the new one
+// is ready and serving the tunnel. The old container is set aside under a _prev name until the
+// new one holds the deployment's name, so on failure it is renamed back and takes the tunnel back.
+async function swapContainer({ projectName, current, image, internalPort, containerPort, hostPort, storedEnv, readiness, restartPolicy, limits, tunnel, sessionId, signal }) {
+    const containerName = `deployify-${projectName}`;
+    const nextContainerName = `${containerName}_next`;
+    const prevContainerName = `${containerName}_prev`;
+    const provider = getProvider(tunnel.provider);
+    const record = registry.getDeployment(projectName) || {};
+    const tunnelOptions = {
+        projectName,
+        appContainerId: current.Id,
+        type: tunnel.type,
+        endpoint: tunnel.endpoint,
+        domains: publishedDomains(record),
+        access: record.access,
+        restartPolicy,
+        sessionId
+    };
+    let tunnelMoved = false;
+    let routeMoved = false;
+    let setAside = false;
+
+    try {
+        sendProgress(sessionId, 80, "Starting new container alongside the current one...");
+        await cleanupContainer(nextContainerName);
+        // Left behind by a swap that died midway, the live container holds the real name
+        await cleanupContainer(prevContainerName);
+        const nextContainer = await createAndStartContainer({
+            containerName: nextContainerName,
+            exposedPort: containerPort,
+            hostPort,
+            hostIp: provider.hostIp,
+            image,
+            env: runtimeEnv(internalPort, containerPort, storedEnv),
+            restartPolicy,
+            limits
+        });
+
+        sendProgress(sessionId, 85, `Waiting for the new container to become ready (${describeProbe(readiness)})...`);
+        const portProbe = await reconcileListeningPort(nextContainer.id, { internalPort, containerPort, sessionId });
+        await waitForReady(nextContainer.id, readiness, { hostPort, port: portProbe.port, signal });
+        // Past this point the tunnel moves, so a cancellation is only honoured up to here
+        throwIfCancelled(signal);
+
+        sendProgress(sessionId, 90, "Moving the public URL to the new container...");
+        const nextTunnel = await replaceTunnel(provider, { ...tunnelOptions, hostPort });
+        tunnelMoved = true;
+
+        sendProgress(sessionId, 95, "Retiring the previous container...");
+        // The reverse proxy follows the registry, point it at the new container before the old one goes
+        registry.saveDeployment(projectName, { exposedPort: hostPort });
+        routeMoved = true;
+        await docker.getContainer(current.Id).rename({ name: prevContainerName });
+        setAside = true;
+        await nextContainer.container.rename({ name: containerName });
+        setAside = false;
+        await cleanupContainer(prevContainerName);
+        return { ...nextContainer, portProbe, url: nextTunnel.url };
+    } catch (error) {
+        await attachDiagnostics(error, secretValues(storedEnv));
+        await cleanupContainer(nextContainerName);
+        if (setAside) {
+            await docker.getContainer(current.Id).rename({ name: containerName }).catch(renameError => {
+                console.warn(`WARNING: Could not rename ${prevContainerName} back to ${containerName}: ${renameError.message}`);
             });
-        } else {
-            const subdomain = `deployify-${projectName}`;
-            ngrokEndpoint = await createNgrokReservedDomain(subdomain);
-            ngrokConfig = generateNgrokConfig(NGROK_AUTHTOKEN, {
-                name: projectName,
-                type: 'http',
-                url: ngrokEndpoint,
-                port: containerPort
+        }
+        if (routeMoved) registry.saveDeployment(projectName, { exposedPort: record.exposedPort });
+        if (tunnelMoved) {
+            await replaceTunnel(provider, { ...tunnelOptions, hostPort: record.exposedPort }).catch(tunnelError => {
+                console.warn(`WARNING: Could not move the ${provider.name} tunnel back to ${containerName}: ${tunnelError.message}`);
             });
         }
+        throw error;
+    }
+}
 
-        // Create project directory and save files
-        sendProgress(sessionId, 15, "Creating project directory...");
-        fs.mkdirSync(projectPath, { recursive: true });
-        fs.writeFileSync(path.join(projectPath, "ngrok.yml"), ngrokConfig);
-
-        // Process files and detect user port
-        let detectedPort = null;
-        const portPatterns = [
-            /ListenAndServe\(\s*"(:|0\.0\.0\.0:)(\d+)"\s*,/,
-            /\.listen\(\s*(\d+)/,
-            /PORT\s*=\s*(\d+)/i,
-            /port\s*=\s*(\d+)/i,
-            /runserver\s+0\.0\.0\.0:(\d+)/,
-            /-p\s+(\d+)/,
-            /\bport:\s*(\d+)/i,
-        ];
-
-        // For Next.js specific detection
-        let isNextProject = false;
-        let nextConfigContent = null;
-
-        for (let i = 0; i < files.length; i++) {
-            const { path: filePath, content } = files[i];
-            const fullPath = path.join(projectPath, filePath);
-            const dir = path.dirname(fullPath);
-
-            fs.mkdirSync(dir, { recursive: true });
-
-            if (content) {
-                const fileContent = Buffer.from(content, "base64").toString();
-
-                // Check for Next.js project
-                if (filePath === 'package.json' && fileContent.includes('"next"')) {
-                    isNextProject = true;
-                }
+async function redeployApplication(req, res) {
+    const projectName = req.params.name;
+    const { files, runCommand } = req.body;
+    const sessionId = req.query.sessionId;
+    const signal = req.job ? req.job.signal : undefined;
+    const containerName = `deployify-${projectName}`;
 
-                // Save Next.js config content if found
-                if (filePath === 'next.config.js') {
-                    nextConfigContent = fileContent;
-                }
+    const projectPath = path.join(PROJECTS_DIR, projectName);
+    // The new source is prepared next to the current one, which stays until the new container
+    // serves. Project names have no dots, so this never collides with a project.
+    const stagingPath = `${projectPath}.next`;
 
-                if (!detectedPort) {
-                    for (const pattern of portPatterns) {
-                        const match = fileContent.match(pattern);
-                        if (match && match[1]) {
-                            const port = parseInt(match[1], 10);
-                            if (port > 0 && port < 65536) {
-                                detectedPort = port;
-                                break;
-                            }
-                        }
-                    }
-                }
+    let image;
+    let previousStatus;
+    // Set once the new container serves, from then on the redeploy cannot be undone
+    let swapped = null;
 
-                fs.writeFileSync(fullPath, fileContent);
-            }
+    try {
+        const current = await findContainer(containerName);
+        const record = registry.getDeployment(projectName) || {};
+        const conflict = updateConflict(projectName, current, record);
+        if (conflict) {
+            return res.status(conflict.status).json({ error: conflict.error });
+        }
+        const tunnel = tunnelFor(record, projectName);
+        const unavailable = getProvider(tunnel.provider).missingConfiguration();
+        if (unavailable) {
+            return res.status(500).json({ error: unavailable });
+        }
+
+        // A detected language is detected again, the project may have changed framework since
+        const language = req.body.language || (record.detection ? null : record.language);
 
-            sendProgress(sessionId, Math.floor(15 + (i + 1) / files.length * 15), `Processing file ${i + 1}/${files.length}`);
+        // Without new files or an archive a git deployment pulls its recorded ref again
+        const source = req.body.source || (!files && !req.file ? record.source : undefined);
+
+        previousStatus = record.status || "running";
+        registry.saveDeployment(projectName, { status: "redeploying", error: null });
+
+        sendProgress(sessionId, 5, "Generating container port...");
+        const containerPort = await pickHostPort(current);
+        throwIfCancelled(signal);
+
+        fs.rmSync(stagingPath, { recursive: true, force: true });
+        // An explicit port sticks to the deployment until a later redeploy replaces it
+        const requestedPort = req.body.port !== undefined ? validPort(req.body.port) : record.requestedPort;
+        const readiness = readinessProbe(req.body.readiness || record.readiness, DEFAULT_READINESS);
+        const restartPolicy = req.body.restartPolicy || record.restartPolicy || DEFAULT_RESTART_POLICY;
+        const limits = resolveLimits(req.body, record.limits);
+        // Variables only change for good once the new container is serving
+        const storedEnv = mergeEnv(record.env, req.body);
+        const { config, internalPort, checkout, language: projectLanguage, detection, port: portResolution } = await prepareProject(stagingPath, {
+            files,
+            archive: req.file,
+            source,
+            language,
+            port: requestedPort,
+            runCommand: runCommand || record.runCommand,
+            readiness,
+            buildEnv: buildArgs(storedEnv),
+            containerPort,
+            sessionId,
+            signal
+        });
+        throwIfCancelled(signal);
+
+        const release = registry.nextReleaseNumber(projectName);
+        image = `${containerName}:${release}`;
+        if (!(await buildProjectImage({ projectName, release, projectPath: stagingPath, image, config, language: projectLanguage, sessionId, signal }))) {
+            throw new Error("Docker image build failed");
         }
+        throwIfCancelled(signal);
 
-        // Default internal port if none detected
-        const internalPort = detectedPort || 3000;
-
-        // Modify the Next.js config if needed
-        if (isNextProject) {
-            if (nextConfigContent) {
-                // Update Next.js config to use the internal port
-                const updatedConfig = nextConfigContent.replace(
-                    /module\.exports\s*=\s*{/,
-                    `module.exports = {\n  experimental: { outputStandalone: true },\n  env: { PORT: '${internalPort}' },`
-                );
-                fs.writeFileSync(path.join(projectPath, 'next.config.js'), updatedConfig);
-            } else {
-                // Create Next.js config if it doesn't exist
-                const nextConfig = `
-module.exports = {
-  experimental: { outputStandalone: true },
-  env: { PORT: '${internalPort}' }
-}`;
-                fs.writeFileSync(path.join(projectPath, 'next.config.js'), nextConfig);
+        setJobState(req.job, "starting");
+        const nextContainer = await swapContainer({
+            projectName,
+            current,
+            image,
+            internalPort,
+            containerPort,
+            hostPort: containerPort,
+            storedEnv,
+            readiness,
+            restartPolicy,
+            limits,
+            tunnel,
+            sessionId,
+            signal
+        });
+        swapped = { containerId: nextContainer.id, image, exposedPort: containerPort, url: nextContainer.url };
+        fs.rmSync(projectPath, { recursive: true, force: true });
+        fs.renameSync(stagingPath, projectPath);
+
+        registry.addRelease(projectName, {
+            release,
+            image,
+            builtAt: new Date().toISOString(),
+            language: projectLanguage,
+            runCommand: runCommand || record.runCommand || null,
+            startCommand: config.startCommand,
+            internalPort: nextContainer.portProbe.port,
+            containerPort,
+            readiness,
+            commit: checkout ? checkout.commit : null
+        });
+        registry.setStatus(projectName, "running", {
+            language: projectLanguage,
+            detection,
+            requestedPort: requestedPort || null,
+            readiness,
+            restartPolicy,
+            limits,
+            env: storedEnv,
+            runCommand: runCommand || record.runCommand || null,
+            containerId: nextContainer.id,
+            image,
+            internalPort: nextContainer.portProbe.port,
+            portProbe: nextContainer.portProbe,
+            exposedPort: containerPort,
+            url: nextContainer.url,
+            startCommand: config.startCommand,
+            source: checkout,
+            deployedAt: new Date().toISOString()
+        });
+
+        sendProgress(sessionId, 100, "Redeployment complete!");
+        const result = {
+            message: "Application redeployed successfully",
+            url: nextContainer.url,
+            release,
+            commit: checkout ? checkout.commit : undefined,
+            detection: detection || undefined,
+            port: portResolution,
+            portProbe: nextContainer.portProbe,
+            internalPort: nextContainer.portProbe.port,
+            exposedPort: containerPort,
+            variables: describeEnv(storedEnv)
+        };
+        sendResult(sessionId, result);
+        return res.status(200).json(result);
+    } catch (error) {
+        if (!previousStatus) {
+            return res.status(500).json({ error: `Redeployment failed: ${error.message}` });
+        }
+        if (swapped) {
+            // The new image is live, only the bookkeeping after the swap is missing
+            registry.setStatus(projectName, "running", {
+                ...swapped,
+                error: `Redeploy completed but could not be recorded: ${error.message}`
+            });
+            sendError(sessionId, error.message);
+            return res.status(500).json({ error: `Redeployment completed but could not be recorded: ${error.message}` });
+        }
+
+        // The old container keeps serving, only the new image and source are discarded
+        fs.rmSync(stagingPath, { recursive: true, force: true });
+        if (image) await removeImage(image).catch(() => { });
+        registry.setStatus(projectName, previousStatus, {
+            error: error.cancelled ? null : `Redeploy failed: ${error.message}`
+        });
+        sendError(sessionId, error.message, { cancelled: Boolean(error.cancelled), diagnostics: error.diagnostics });
+        return res.status(error.cancelled ? 409 : error.status || 500).json({
+            error: error.cancelled ? "Redeployment cancelled" : `Redeployment failed: ${error.message}`,
+            evidence: error.evidence,
+            diagnostics: error.diagnostics
+        });
+    }
+}
+
+async function rollbackApplication(req, res) {
+    const projectName = req.params.name;
+    const sessionId = req.query.sessionId;
+    const signal = req.job ? req.job.signal : undefined;
+    const containerName = `deployify-${projectName}`;
+
+    let previousStatus;
+
+    try {
+        const current = await findContainer(containerName);
+        const record = registry.getDeployment(projectName) || {};
+        const conflict = updateConflict(projectName, current, record);
+        if (conflict) {
+            return res.status(conflict.status).json({ error: conflict.error });
+        }
+        const tunnel = tunnelFor(record, projectName);
+        const unavailable = getProvider(tunnel.provider).missingConfiguration();
+        if (unavailable) {
+            return res.status(500).json({ error: unavailable });
+        }
+
+        let target;
+        if (req.query.to !== undefined) {
+            target = registry.getRelease(projectName, parseInt(req.query.to, 10));
+            if (!target) {
+                return res.status(404).json({ error: `Release '${req.query.to}' not found.` });
+            }
+        } else {
+            // Without an explicit target, step back to the release before the current one
+            const earlier = (record.releases || []).filter(release => release.release < record.currentRelease);
+            target = earlier[earlier.length - 1];
+            if (!target) {
+                return res.status(404).json({ error: "No earlier release to roll back to." });
             }
         }
 
-        // Configure container based on language
-        const config = getLanguageConfig(language, internalPort, containerPort, runCommand);
+        if (target.release === record.currentRelease) {
+            return res.status(400).json({ error: `Release ${target.release} is already running.` });
+        }
+        if (!(await listProjectImages(containerName)).includes(target.image)) {
+            return res.status(410).json({ error: `The image for release ${target.release} is no longer available.` });
+        }
+        if (await embedsNgrokAgent(target.image)) {
+            return res.status(400).json({
+                error: `Release ${target.release} was built with an embedded ngrok agent and authtoken and cannot be started again, redeploy instead.`
+            });
+        }
 
-        // Create Dockerfile and startup script
-        fs.writeFileSync(
-            path.join(projectPath, "Dockerfile"),
-            createDockerfile(config, containerPort, internalPort)
-        );
+        previousStatus = record.status || "running";
+        registry.saveDeployment(projectName, { status: "rolling-back", error: null });
 
-        fs.writeFileSync(
-            path.join(projectPath, "start.sh"),
-            createStartupScript(internalPort, containerPort, config.startCommand)
-        );
+        // The tunnel upstream port is baked into each image, so only the host port changes
+        sendProgress(sessionId, 10, `Rolling back to release ${target.release}...`);
+        const hostPort = await pickHostPort(current);
+        const nextContainer = await swapContainer({
+            projectName,
+            current,
+            image: target.image,
+            internalPort: target.internalPort,
+            containerPort: target.containerPort,
+            hostPort,
+            storedEnv: record.env,
+            // Releases from before readiness probes fall back to the deployment's current probe
+            readiness: readinessProbe(target.readiness || record.readiness, DEFAULT_READINESS),
+            restartPolicy: record.restartPolicy || DEFAULT_RESTART_POLICY,
+            limits: resolveLimits({}, record.limits),
+            tunnel,
+            sessionId,
+            signal
+        });
 
-        // Build and run the container
-        sendProgress(sessionId, 40, `Preparing Docker environment for ${language}...`);
-        await ensureImageExists(config.baseImage);
+        registry.setStatus(projectName, "running", {
+            currentRelease: target.release,
+            language: target.language,
+            runCommand: target.runCommand,
+            containerId: nextContainer.id,
+            image: target.image,
+            internalPort: nextContainer.portProbe.port,
+            portProbe: nextContainer.portProbe,
+            exposedPort: hostPort,
+            url: nextContainer.url,
+            startCommand: target.startCommand,
+            deployedAt: new Date().toISOString()
+        });
 
-        sendProgress(sessionId, 50, "Building Docker image...");
-        await buildImageWithRetry(
-            { context: projectPath, src: fs.readdirSync(projectPath) },
-            { t: containerName }
-        );
+        sendProgress(sessionId, 100, `Rolled back to release ${target.release}`);
+        const result = {
+            message: `Rolled back to release ${target.release}`,
+            url: nextContainer.url,
+            release: target.release,
+            internalPort: nextContainer.portProbe.port,
+            exposedPort: hostPort
+        };
+        sendResult(sessionId, result);
+        return res.status(200).json(result);
+    } catch (error) {
+        if (previousStatus) {
+            registry.setStatus(projectName, previousStatus, { error: `Rollback failed: ${error.message}` });
+            sendError(sessionId, error.message, { diagnostics: error.diagnostics });
+        }
+        return res.status(500).json({ error: `Rollback failed: ${error.message}`, diagnostics: error.diagnostics });
+    }
+}
+
+// Stores new env vars and secrets, then replaces a running container with one from the same
+// image. Build-time variables are baked into the image and only change with a redeploy.
+async function updateEnvironment(req, res) {
+    const projectName = req.params.name;
+    const sessionId = req.query.sessionId;
+    const signal = req.job ? req.job.signal : undefined;
+    const containerName = `deployify-${projectName}`;
+
+    let previousStatus;
 
-        // Verify image was built
-        const images = await docker.listImages();
-        if (!images.some(img => img.RepoTags && img.RepoTags.includes(`${containerName}:latest`))) {
-            sendProgress(sessionId, 0, "Error: Image build failed");
-            return res.status(500).json({ error: "Docker image build failed" });
+    try {
+        const current = await findContainer(containerName);
+        const record = registry.getDeployment(projectName) || {};
+        const conflict = updateConflict(projectName, current, record);
+        if (conflict) {
+            return res.status(conflict.status).json({ error: conflict.error });
+        }
+        const tunnel = tunnelFor(record, projectName);
+        const unavailable = getProvider(tunnel.provider).missingConfiguration();
+        if (unavailable) {
+            return res.status(500).json({ error: unavailable });
         }
 
-        // Create and start the container
-        sendProgress(sessionId, 85, "Creating and starting container...");
-        const containerResult = await createAndStartContainer({
-            containerName,
-            exposedPort: containerPort,
-            image: containerName,
-            env: [
-                `PORT=${internalPort}`,  // This is critical - apps should use this PORT env var
-                `INTERNAL_PORT=${internalPort}`,
-                `CONTAINER_PORT=${containerPort}`,
-                `NGROK_AUTHTOKEN=${NGROK_AUTHTOKEN}`
-            ]
+        const storedEnv = mergeEnv(record.env, req.body);
+        const changed = [...Object.keys(req.body.env || {}), ...(req.body.unset || [])];
+        const rebuildRequired = changed.some(isBuildTime);
+
+        // A stopped deployment picks the variables up on its next redeploy, and so does one
+        // whose image cannot be started again
+        const legacyImage = current.State === "running" && await embedsNgrokAgent(record.image);
+        if (current.State !== "running" || legacyImage) {
+            registry.saveDeployment(projectName, { env: storedEnv });
+            return res.status(200).json({
+                message: legacyImage
+                    ? "Environment saved, the running image embeds an ngrok agent and is not restarted, redeploy to apply it"
+                    : "Environment saved, it applies to the next redeploy",
+                applied: false,
+                rebuildRequired,
+                variables: describeEnv(storedEnv)
+            });
+        }
+
+        const release = registry.getRelease(projectName, record.currentRelease) || {};
+        previousStatus = record.status || "running";
+        registry.saveDeployment(projectName, { status: "redeploying", error: null });
+
+        sendProgress(sessionId, 10, "Restarting with the new environment...");
+        const hostPort = await pickHostPort(current);
+        const nextContainer = await swapContainer({
+            projectName,
+            current,
+            image: record.image,
+            internalPort: release.internalPort || record.internalPort,
+            containerPort: release.containerPort || record.exposedPort,
+            hostPort,
+            storedEnv,
+            readiness: readinessProbe(record.readiness, DEFAULT_READINESS),
+            restartPolicy: record.restartPolicy || DEFAULT_RESTART_POLICY,
+            limits: resolveLimits({}, record.limits),
+            tunnel,
+            sessionId,
+            signal
         });
 
-        // Send success response
-        sendProgress(sessionId, 100, `Deployment complete! Container is ${containerResult.status}`);
-        return res.status(200).json({
-            message: `Application deployed successfully`,
-            url: isMongoDB ? ngrokEndpoint : `https://${ngrokEndpoint}`,
-            internalPort,
-            exposedPort: containerPort
+        registry.setStatus(projectName, "running", {
+            env: storedEnv,
+            containerId: nextContainer.id,
+            internalPort: nextContainer.portProbe.port,
+            portProbe: nextContainer.portProbe,
+            exposedPort: hostPort,
+            url: nextContainer.url
         });
+
+        if (rebuildRequired) {
+            sendWarning(sessionId, "Build-time variables changed, redeploy to rebuild the app with them", { source: "env" });
+        }
+        sendProgress(sessionId, 100, "Environment updated");
+        const result = {
+            message: "Environment updated",
+            applied: true,
+            rebuildRequired,
+            variables: describeEnv(storedEnv)
+        };
+        sendResult(sessionId, result);
+        return res.status(200).json(result);
     } catch (error) {
-        return res.status(500).json({
-            error: `Deployment failed: ${error.message}`
+        if (previousStatus) {
+            registry.setStatus(projectName, previousStatus, {
+                error: error.cancelled ? null : `Environment update failed: ${error.message}`
+            });
+            sendError(sessionId, error.message, { cancelled: Boolean(error.cancelled), diagnostics: error.diagnostics });
+        }
+        return res.status(error.cancelled ? 409 : 500).json({
+            error: error.cancelled ? "Environment update cancelled" : `Environment update failed: ${error.message}`,
+            diagnostics: error.diagnostics
         });
     }
 }
 
-function getLanguageConfig(language, internalPort, containerPort, runCommand) {
+const PORT_FILE = "/tmp/deployify-internal-port";
+
+// Points the forwarder on the container port at the port the app really listens on. Images
+// built before the forwarder read its target from PORT_FILE cannot be repointed.
+async function repointForwarder(containerId, port, internalPort, containerPort) {
+    if (internalPort === containerPort) {
+        await execInContainer(
+            containerId,
+            ["socat", `TCP-LISTEN:${containerPort},fork,reuseaddr`, `TCP:localhost:${port}`],
+            { detach: true }
+        );
+        return true;
+    }
+
+    const { exitCode } = await execInContainer(
+        containerId,
+        ["sh", "-c", `test -f ${PORT_FILE} && echo ${port} > ${PORT_FILE}`]
+    );
+    return exitCode === 0;
+}
+
+// Static analysis can guess the port wrong, in which case the forwarder points at nothing
+// and the tunnel answers 502. Once the app is up, its listening sockets settle the question.
+async function reconcileListeningPort(containerId, { internalPort, containerPort, sessionId, timeout = 30000, interval = 2000 }) {
+    const ignored = [containerPort];
+    const deadline = Date.now() + timeout;
+    let candidates = [];
+    let sightings = 0;
+
+    while (Date.now() < deadline) {
+        const listening = await listListeningPorts(containerId);
+        if (listening.includes(internalPort)) {
+            return { expected: internalPort, port: internalPort, listening, corrected: false };
+        }
+
+        candidates = listening.filter(port => !ignored.includes(port));
+        // A port seen twice in a row is taken as settled, the app may still be binding the expected one
+        if (candidates.length && ++sightings >= 2) break;
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+
+    if (!candidates.length) {
+        sendWarning(sessionId, `Nothing is listening on port ${internalPort} yet and no other port was found`, { source: "port" });
+        return { expected: internalPort, port: internalPort, listening: [], corrected: false };
+    }
+
+    const [port, ...others] = candidates;
+    if (others.length) {
+        sendWarning(sessionId, `The app listens on several ports (${candidates.join(", ")}), forwarding to ${port}`, { source: "port" });
+    }
+
+    if (!(await repointForwarder(containerId, port, internalPort, containerPort))) {
+        sendWarning(sessionId, `The app listens on ${port} instead of ${internalPort}, but this image's forwarder cannot be repointed`, { source: "port" });
+        return { expected: internalPort, port: internalPort, listening: candidates, corrected: false };
+    }
+
+    sendWarning(sessionId, `The app listens on ${port} instead of ${internalPort}, traffic now goes to ${port}`, { source: "port" });
+    return { expected: internalPort, port, listening: candidates, corrected: true };
+}
+
+function writeUploadedFiles(projectPath, files) {
+    fs.mkdirSync(projectPath, { recursive: true });
+    for (const { path: filePath, content } of files) {
+        const fullPath = resolveInside(projectPath, filePath);
+        if (!fullPath) throw new Error(`File path escapes the project directory: ${filePath}`);
+        fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+        if (content) fs.writeFileSync(fullPath, Buffer.from(content, "base64"));
+    }
+}
+
+async function prepareProject(projectPath, { files, archive, source, language, port, runCommand, readiness, buildEnv, containerPort, sessionId, signal }) {
+    // Create project directory and save files
+    sendProgress(sessionId, 15, "Creating project directory...");
+    let checkout = null;
+    if (archive) {
+        sendProgress(sessionId, 17, `Extracting ${archive.originalname}...`);
+        await extractArchive(archive.path, archive.originalname, projectPath);
+    } else if (source) {
+        sendProgress(sessionId, 17, `Cloning ${describeGitSource(source).url}${source.ref ? ` at ${source.ref}` : ""}...`);
+        checkout = await fetchGitSource(source, projectPath, {
+            signal,
+            onOutput: line => sendLog(sessionId, line, { source: "git" })
+        });
+        sendLog(sessionId, `Checked out ${checkout.commit}`, { source: "git" });
+    } else {
+        writeUploadedFiles(projectPath, files);
+    }
+
+    const { ignoreFile, removed } = pruneIgnoredFiles(projectPath);
+    if (removed.length) {
+        sendLog(sessionId, `Skipped ${removed.length} file(s) matched by ${ignoreFile}`, { source: "upload" });
+    }
+
+    let detection = null;
+    if (!language) {
+        detection = detectProject(projectPath);
+        language = detection.language;
+        sendLog(sessionId, `Detected ${detection.framework}: ${detection.evidence.join(", ")}`, { source: "detect" });
+    }
+
+    sendProgress(sessionId, 25, "Resolving application port...");
+    const portResolution = resolvePort(projectPath, {
+        language,
+        port,
+        runCommand,
+        startCommand: detection ? detection.startCommand : undefined
+    });
+    const internalPort = portResolution.port;
+    sendLog(sessionId, `Using port ${internalPort} (${portResolution.confidence} confidence): ${portResolution.evidence.join(", ") || "no evidence found"}`, { source: "port" });
+    for (const warning of portResolution.warnings) {
+        sendWarning(sessionId, warning, { source: "port" });
+    }
+
+    // For Next.js specific detection
+    const packageJson = path.join(projectPath, "package.json");
+    const nextConfigPath = path.join(projectPath, "next.config.js");
+    const isNextProject = fs.existsSync(packageJson) && fs.readFileSync(packageJson, "utf8").includes('"next"');
+    const nextConfigContent = fs.existsSync(nextConfigPath) ? fs.readFileSync(nextConfigPath, "utf8") : null;
+
+    // Modify the Next.js config if needed
+    if (isNextProject) {
+        if (nextConfigContent) {
+            // Update Next.js config to use the internal port
+            const updatedConfig = nextConfigContent.replace(
+                /module\.exports\s*=\s*{/,
+                `module.exports = {\n  experimental: { outputStandalone: true },\n  env: { PORT: '${internalPort}' },`
+            );
+            fs.writeFileSync(path.join(projectPath, 'next.config.js'), updatedConfig);
+        } else {
+            // Create Next.js config if it doesn't exist
+            const nextConfig = `
+module.exports = {
+  experimental: { outputStandalone: true },
+  env: { PORT: '${internalPort}' }
+}`;
+            fs.writeFileSync(path.join(projectPath, 'next.config.js'), nextConfig);
+        }
+    }
+
+    // Configure container based on language
+    const config = getLanguageConfig(language, internalPort, containerPort, runCommand, detection || {});
+    config.buildArgs = buildEnv || {};
+
+    // Create Dockerfile and startup script
+    fs.writeFileSync(
+        path.join(projectPath, "Dockerfile"),
+        createDockerfile(config, containerPort, internalPort, readiness)
+    );
+
+    fs.writeFileSync(
+        path.join(projectPath, "start.sh"),
+        createStartupScript(internalPort, containerPort, config.startCommand)
+    );
+
+    if (detection) {
+        detection = {
+            language,
+            framework: detection.framework,
+            installCommand: config.installCommand,
+            startCommand: config.startCommand,
+            evidence: detection.evidence
+        };
+    }
+
+    const { warnings, ...portDetails } = portResolution;
+    return { config, internalPort, checkout, language, detection, port: { ...portDetails, warnings } };
+}
+
+async function buildProjectImage({ projectName, release, projectPath, image, config, language, sessionId, signal }) {
+    sendProgress(sessionId, 40, `Preparing Docker environment for ${language}...`);
+    await ensureImageExists(config.baseImage, { onEvent: pullLogger(sessionId, config.baseImage), signal });
+
+    sendProgress(sessionId, 50, "Building Docker image...");
+    let buildLog = "";
+    try {
+        await buildImageWithRetry(
+            { context: projectPath, src: fs.readdirSync(projectPath) },
+            { t: image, buildargs: config.buildArgs },
+            {
+                signal,
+                onEvent: (event) => {
+                    const line = event.stream || (event.error ? `ERROR: ${event.error}\n` : "");
+                    if (!line) return;
+                    buildLog += line;
+
+                    const trimmed = line.trimEnd();
+                    if (trimmed) sendLog(sessionId, trimmed, { source: "build", stream: event.error ? "stderr" : "stdout" });
+
+                    // The build occupies 50-80% of the overall progress, split evenly across Dockerfile steps
+                    const step = trimmed.match(/^Step (\d+)\/(\d+) : (.*)$/);
+                    if (step) {
+                        const current = parseInt(step[1], 10);
+                        const total = parseInt(step[2], 10);
+                        sendProgress(sessionId, Math.floor(50 + (current - 1) / total * 30), `Step ${current}/${total}: ${step[3]}`);
+                    }
+                }
+            }
+        );
+    } finally {
+        registry.saveBuildLog(projectName, release, buildLog);
+    }
+
+    // Verify image was built
+    const images = await docker.listImages();
+    const tag = image.includes(":") ? image : `${image}:latest`;
+    return images.some(img => img.RepoTags && img.RepoTags.includes(tag));
+}
+
+function runtimeEnv(internalPort, containerPort, storedEnv) {
+    return [
+        ...containerEnv(storedEnv),
+        `PORT=${internalPort}`,  // This is critical - apps should use this PORT env var
+        `INTERNAL_PORT=${internalPort}`,
+        `CONTAINER_PORT=${containerPort}`
+    ];
+}
+
+function getLanguageConfig(language, internalPort, containerPort, runCommand, detected = {}) {
     const configs = {
         nodejs: {
             baseImage: "node:23-alpine3.20",
@@ -268,22 +1001,43 @@ function getLanguageConfig(language, internalPort, containerPort, runCommand) {
         }
     };
 
-    const config = configs[language] || configs.nodejs;
+    const config = configs[language];
+    if (!config) {
+        throw new Error(`Unsupported language '${language}'`);
+    }
+    if (detected.installCommand !== undefined) config.installCommand = detected.installCommand;
+    if (detected.startCommand && !runCommand) config.startCommand = detected.startCommand;
     config.setupTools = config.isAlpine
-        ? "apk add --no-cache curl unzip socat"
-        : "apt-get update && apt-get install -y curl unzip socat";
+        ? "apk add --no-cache curl socat"
+        : "apt-get update && apt-get install -y curl socat";
 
     return config;
 }
 
-function createDockerfile(config, containerPort, internalPort) {
+// Mirrors the readiness probe so docker ps keeps reporting health after the deploy. The TCP
+// check reads the forwarder's target, which may have been repointed since the image was built.
+function healthcheckInstruction(readiness) {
+    const options = `--interval=${readiness.interval}s --timeout=5s --start-period=${readiness.timeout}s --retries=3`;
+    if (readiness.type === "http") {
+        return `HEALTHCHECK ${options} CMD code=$(curl -s -o /dev/null -w '%{http_code}' "http://localhost:$CONTAINER_PORT${readiness.path}") && [ "$code" -gt 0 ] && [ "$code" -lt 500 ] || exit 1`;
+    }
+    if (readiness.type === "tcp") {
+        return `HEALTHCHECK ${options} CMD port=$(cat ${PORT_FILE} 2>/dev/null || echo $INTERNAL_PORT) && grep -Eq ":$(printf '%04X' $port) [0-9A-F]+:[0-9A-F]+ 0A" /proc/net/tcp /proc/net/tcp6 || exit 1`;
+    }
+    return `HEALTHCHECK ${options} CMD ${readiness.command} || exit 1`;
+}
+
+function createDockerfile(config, containerPort, internalPort, readiness) {
     const yarnSetup = config.useYarn ? "RUN if ! command -v yarn; then npm install -g yarn; fi" : "";
     const installCmd = config.installCommand ? `RUN ${config.installCommand}` : "";
+    // Declared before the build step so frameworks can inline them, the values come from build args
+    const buildArgs = Object.keys(config.buildArgs || {}).map(name => `ARG ${name}`).join("\n");
 
     return `FROM ${config.baseImage}
 WORKDIR /app
 COPY . /app
 ${yarnSetup}
+${buildArgs}
 ${installCmd}
 ENV PORT=${internalPort}
 ENV INTERNAL_PORT=${internalPort}
@@ -291,29 +1045,27 @@ ENV CONTAINER_PORT=${containerPort}
 
 RUN ${config.setupTools}
 
-RUN curl -L -o ngrok.zip https://bin.equinox.io/c/bNyj1mQVY4c/ngrok-v3-stable-linux-amd64.zip && \\
-    unzip ngrok.zip -d /usr/local/bin && \\
-    rm ngrok.zip
-RUN mkdir -p /root/.config/ngrok
-COPY ngrok.yml /root/.config/ngrok/ngrok.yml
 COPY start.sh /start.sh
 RUN chmod +x /start.sh
 
 EXPOSE ${internalPort}
 EXPOSE ${containerPort}
+${healthcheckInstruction(readiness)}
 CMD ["/start.sh"]`;
 }
 
 function createStartupScript(internalPort, containerPort, startCommand) {
     return `#!/bin/sh
-# Start ngrok in the background
-/usr/local/bin/ngrok start --config /root/.config/ngrok/ngrok.yml --all &
-NGROK_PID=$!
+# The tunnel runs outside this container, this script only forwards and starts the app
 
-# Set up port forwarding from container port to internal port
+# Set up port forwarding from container port to internal port. The target is read per
+# connection so it can be repointed once the app's real listening port is known
 if [ "$INTERNAL_PORT" != "$CONTAINER_PORT" ]; then
   echo "Setting up port forwarding from $CONTAINER_PORT to $INTERNAL_PORT"
-  socat TCP-LISTEN:$CONTAINER_PORT,fork TCP:localhost:$INTERNAL_PORT &
+  echo "$INTERNAL_PORT" > /tmp/deployify-internal-port
+  printf '#!/bin/sh\\nexec socat STDIO TCP:localhost:$(cat /tmp/deployify-internal-port)\\n' > /tmp/deployify-forward.sh
+  chmod +x /tmp/deployify-forward.sh
+  socat TCP-LISTEN:$CONTAINER_PORT,fork,reuseaddr EXEC:/tmp/deployify-forward.sh &
   SOCAT_PID=$!
 fi
 
@@ -324,9 +1076,9 @@ ${startCommand} &
 APP_PID=$!
 
 # Handle graceful shutdown
-trap 'kill $APP_PID $NGROK_PID $SOCAT_PID 2>/dev/null; exit' SIGINT SIGTERM
+trap 'kill $APP_PID $SOCAT_PID 2>/dev/null; exit' SIGINT SIGTERM
 wait $APP_PID
 `;
 }
 
-module.exports = { deployApplication };
\ No newline at end of file
+module.exports = { deployApplication, redeployApplication, rollbackApplication, updateEnvironment };
\ No newline at end of file
@@ -0,0 +1,216 @@
+const fs = require("fs");
+const path = require("path");
+
+const NODE_ENTRY_FILES = ["server.js", "index.js", "app.js", "main.js"];
+const PYTHON_ENTRY_FILES = ["app.py", "main.py", "server.py", "wsgi.py"];
+
+function readText(projectPath, file) {
+    const fullPath = path.join(projectPath, file);
+    if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isFile()) return null;
+    return fs.readFileSync(fullPath, "utf8");
+}
+
+function readJson(projectPath, file, evidence) {
+    const content = readText(projectPath, file);
+    if (content === null) return null;
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        evidence.push(`${file} is not valid JSON and was ignored`);
+        return null;
+    }
+}
+
+function hasFile(projectPath, ...candidates) {
+    return candidates.find(file => fs.existsSync(path.join(projectPath, file))) || null;
+}
+
+// Angular 17+ application builds write the site to <outputPath>/browser
+function angularOutputDir(angularJson) {
+    const projects = (angularJson && angularJson.projects) || {};
+    const name = angularJson && angularJson.defaultProject && projects[angularJson.defaultProject]
+        ? angularJson.defaultProject
+        : Object.keys(projects)[0];
+    const build = name && projects[name].architect && projects[name].architect.build;
+    if (!build) return null;
+
+    const outputPath = build.options && build.options.outputPath;
+    const base = typeof outputPath === "object" && outputPath ? outputPath.base : outputPath || `dist/${name}`;
+    return /:application$/.test(build.builder || "") ? `${base}/browser` : base;
+}
+
+function detectNodeFramework(projectPath, pkg, dependencies, evidence) {
+    const installer = hasFile(projectPath, "yarn.lock") ? "yarn install" : "npm install";
+    const run = installer === "yarn install" ? "yarn" : "npm run";
+
+    if (dependencies.next) {
+        evidence.push("package.json depends on next");
+        const nextConfig = hasFile(projectPath, "next.config.js", "next.config.mjs", "next.config.ts");
+        if (nextConfig) evidence.push(`found ${nextConfig}`);
+        return { language: "nextjs", framework: "Next.js" };
+    }
+
+    if (dependencies["@angular/core"]) {
+        evidence.push("package.json depends on @angular/core");
+        const outputDir = angularOutputDir(readJson(projectPath, "angular.json", evidence));
+        if (!outputDir) return { language: "angularjs", framework: "Angular" };
+
+        evidence.push(`angular.json builds to ${outputDir}`);
+        return {
+            language: "angularjs",
+            framework: "Angular",
+            startCommand: `serve -s ${outputDir} -l $PORT`
+        };
+    }
+
+    if (dependencies.vue) {
+        evidence.push("package.json depends on vue");
+        const viteConfig = hasFile(projectPath, "vite.config.js", "vite.config.ts", "vite.config.mjs");
+        if (viteConfig) evidence.push(`found ${viteConfig}`);
+        return { language: "vuejs", framework: "Vue" };
+    }
+
+    if (dependencies["react-scripts"]) {
+        evidence.push("package.json depends on react-scripts");
+        return { language: "reactjs", framework: "Create React App" };
+    }
+
+    if (dependencies.react && dependencies.vite) {
+        evidence.push("package.json depends on react and vite");
+        return {
+            language: "reactjs",
+            framework: "React (Vite)",
+            startCommand: "serve -s dist -l $PORT"
+        };
+    }
+
+    const scripts = pkg.scripts || {};
+    const build = scripts.build ? ` && ${run} build` : "";
+    if (scripts.build) evidence.push("package.json has a build script");
+
+    if (scripts.start) {
+        evidence.push("package.json has a start script");
+        return {
+            language: "nodejs",
+            framework: "Node.js",
+            installCommand: `${installer}${build}`,
+            startCommand: installer === "yarn install" ? "yarn start" : "npm start"
+        };
+    }
+
+    const entry = (pkg.main && hasFile(projectPath, pkg.main)) || hasFile(projectPath, ...NODE_ENTRY_FILES);
+    if (entry) {
+        evidence.push(pkg.main === entry ? `package.json main is ${entry}` : `found ${entry}`);
+        return {
+            language: "nodejs",
+            framework: "Node.js",
+            installCommand: `${installer}${build}`,
+            startCommand: `node ${entry}`
+        };
+    }
+
+    return null;
+}
+
+function detectPython(projectPath, evidence) {
+    const manifest = hasFile(projectPath, "requirements.txt", "pyproject.toml");
+    if (!manifest) return null;
+    evidence.push(`found ${manifest}`);
+
+    const requirements = (readText(projectPath, manifest) || "").toLowerCase();
+    const installCommand = manifest === "requirements.txt" ? "pip install -r requirements.txt" : "pip install .";
+
+    if (hasFile(projectPath, "manage.py")) {
+        evidence.push("found manage.py");
+        return {
+            language: "python",
+            framework: "Django",
+            installCommand,
+            startCommand: "python manage.py runserver 0.0.0.0:$PORT"
+        };
+    }
+
+    const entry = hasFile(projectPath, ...PYTHON_ENTRY_FILES);
+    const module = entry ? entry.replace(/\.py$/, "") : null;
+
+    if (/\bfastapi\b/.test(requirements) && entry) {
+        evidence.push(`${manifest} lists fastapi`, `found ${entry}`);
+        return {
+            language: "python",
+            framework: "FastAPI",
+            installCommand: /\buvicorn\b/.test(requirements) ? installCommand : `${installCommand} && pip install uvicorn`,
+            startCommand: `uvicorn ${module}:app --host 0.0.0.0 --port $PORT`
+        };
+    }
+
+    if (/\bflask\b/.test(requirements) && entry) {
+        evidence.push(`${manifest} lists flask`, `found ${entry}`);
+        return {
+            language: "python",
+            framework: "Flask",
+            installCommand,
+            startCommand: `flask --app ${module} run --host 0.0.0.0 --port $PORT`
+        };
+    }
+
+    if (entry) {
+        evidence.push(`found ${entry}`);
+        return { language: "python", framework: "Python", installCommand, startCommand: `python ${entry}` };
+    }
+
+    evidence.push(`no manage.py or ${PYTHON_ENTRY_FILES.join("/")} to start`);
+    return null;
+}
+
+// Works out how to build and run a project from the files it ships. Commands refer to
+// $PORT, which the start script exports as the internal port before launching the app.
+function detectProject(projectPath) {
+    const evidence = [];
+    const pkg = readJson(projectPath, "package.json", evidence);
+    const dependencies = pkg ? { ...pkg.devDependencies, ...pkg.dependencies } : {};
+
+    // Plain Node.js only wins once no other runtime claims the project
+    const nodeEvidence = [];
+    const node = pkg ? detectNodeFramework(projectPath, pkg, dependencies, nodeEvidence) : null;
+    if (node && node.language !== "nodejs") return { ...node, evidence: [...evidence, ...nodeEvidence] };
+
+    if (hasFile(projectPath, "go.mod")) {
+        evidence.push("found go.mod");
+        return { language: "golang", framework: "Go", evidence };
+    }
+
+    const python = detectPython(projectPath, evidence);
+    if (python) return { ...python, evidence };
+
+    const phpManifest = hasFile(projectPath, "composer.json", "index.php");
+    if (phpManifest) {
+        evidence.push(`found ${phpManifest}`);
+        return {
+            language: "php",
+            framework: "PHP",
+            installCommand: phpManifest === "composer.json" ? "composer install" : "",
+            evidence
+        };
+    }
+
+    if (node) return { ...node, evidence: [...evidence, ...nodeEvidence] };
+
+    if (pkg) {
+        evidence.push("package.json has no start script, main entry or server.js/index.js/app.js/main.js");
+    }
+
+    if (hasFile(projectPath, "index.html")) {
+        evidence.push("found index.html");
+        return { language: "html", framework: "Static site", evidence };
+    }
+
+    const error = new Error(
+        "Could not detect the project type. Expected package.json, requirements.txt, pyproject.toml, " +
+        "go.mod, composer.json, index.php or index.html at the project root, or pass language explicitly."
+    );
+    error.status = 422;
+    error.evidence = evidence;
+    throw error;
+}
+
+module.exports = { detectProject };
@@ -1,25 +1,63 @@
+const http = require("http");
+const { PassThrough } = require("stream");
 const Docker = require("dockerode");
 const docker = new Docker();
-const { sendProgress } = require("./progressService");
+const { sendLog, sendError } = require("./progressService");
+const { cancellationError } = require("../utils");
+const { hostConfigLimits } = require("./resourceService");
+const { READINESS_TIMEOUT, READINESS_INTERVAL, DEFAULT_RESTART_POLICY } = require("../config");
 
 async function imageExists(imageName) {
     const images = await docker.listImages();
     return images.some(img => img.RepoTags && img.RepoTags.includes(`${imageName}:latest`));
 }
 
-async function ensureImageExists(imageName) {
+// Dropping the connection is what makes the daemon stop a pull or build
+function cancelOnAbort(stream, signal, reject) {
+    if (!signal) return () => { };
+
+    const onAbort = () => {
+        reject(cancellationError());
+        stream.destroy();
+    };
+    if (signal.aborted) onAbort();
+    else signal.addEventListener("abort", onAbort, { once: true });
+    return () => signal.removeEventListener("abort", onAbort);
+}
+
+async function ensureImageExists(imageName, { onEvent, signal } = {}) {
     if (await imageExists(imageName)) return true;
 
     const pullStream = await docker.pull(imageName);
     return new Promise((resolve, reject) => {
-        docker.modem.followProgress(pullStream, (err) => {
-            if (err) reject(new Error(`Failed to pull ${imageName} image.`));
-            else resolve(true);
-        });
+        const release = cancelOnAbort(pullStream, signal, reject);
+        docker.modem.followProgress(
+            pullStream,
+            (err) => {
+                release();
+                if (err) reject(new Error(`Failed to pull ${imageName} image.`));
+                else resolve(true);
+            },
+            (event) => {
+                if (onEvent) onEvent(event);
+            }
+        );
     });
 }
 
-async function buildImageWithRetry(options, config, maxRetries = 2) {
+function pullLogger(sessionId, image) {
+    return (event) => {
+        if (!event.status) return;
+        sendLog(sessionId, event.progress ? `${event.status} ${event.progress}` : event.status, {
+            source: "pull",
+            image,
+            layer: event.id,
+            progressDetail: event.progressDetail
+        });
+    };
+}
+
+async function buildImageWithRetry(options, config, { onEvent, signal } = {}, maxRetries = 2) {
     let retries = 0;
     let lastError;
 
@@ -28,14 +66,21 @@ async function buildImageWithRetry(options, config, maxRetries = 2) {
             const stream = await docker.buildImage(options, config);
             return new Promise((resolve, reject) => {
                 let logs = "";
+                let buildError = null;
+                const release = cancelOnAbort(stream, signal, reject);
                 docker.modem.followProgress(
                     stream,
                     (err) => {
+                        release();
                         if (err) reject(err);
+                        else if (buildError) reject(new Error(buildError));
                         else resolve(logs);
                     },
                     (event) => {
                         if (event.stream) logs += event.stream;
+                        // A failing step is reported as an event, the stream itself still ends cleanly
+                        if (event.error) buildError = event.error;
+                        if (onEvent) onEvent(event);
                     }
                 );
             });
@@ -48,15 +93,24 @@ async function buildImageWithRetry(options, config, maxRetries = 2) {
     throw lastError || new Error("Failed to build image after retries");
 }
 
+// Policies use the docker CLI notation, e.g. "unless-stopped" or "on-failure:5"
+function restartPolicyConfig(policy = DEFAULT_RESTART_POLICY) {
+    const [name, retries] = policy.split(":");
+    return { Name: name, MaximumRetryCount: name === "on-failure" ? parseInt(retries, 10) || 0 : 0 };
+}
+
 async function createAndStartContainer(containerConfig) {
-    const { containerName, exposedPort, image, env = [] } = containerConfig;
+    // An empty hostIp publishes the port on every interface
+    const { containerName, exposedPort, hostPort = exposedPort, hostIp = "", image, env = [], restartPolicy, limits } = containerConfig;
 
     const container = await docker.createContainer({
         Image: image,
         name: containerName,
         ExposedPorts: { [`${exposedPort}/tcp`]: {} },
         HostConfig: {
-            PortBindings: { [`${exposedPort}/tcp`]: [{ HostPort: exposedPort.toString() }] },
+            PortBindings: { [`${exposedPort}/tcp`]: [{ HostIp: hostIp, HostPort: hostPort.toString() }] },
+            RestartPolicy: restartPolicyConfig(restartPolicy),
+            ...(limits ? hostConfigLimits(limits) : {})
         },
         Env: [...env, `PORT=${exposedPort}`],
     });
@@ -71,9 +125,161 @@ async function createAndStartContainer(containerConfig) {
     };
 }
 
-async function cleanupContainer(containerName, sessionId, errorMessage) {
+async function findContainer(containerName) {
     const containers = await docker.listContainers({ all: true });
-    const container = containers.find(c => c.Names.includes(`/${containerName}`));
+    return containers.find(c => c.Names.includes(`/${containerName}`)) || null;
+}
+
+async function listDeployifyContainers() {
+    const containers = await docker.listContainers({
+        all: true,
+        filters: { name: ["deployify-"] }
+    });
+    // During a swap the replacement carries a "_next" suffix and the container it replaces "_prev"
+    return containers.filter(c => c.Names.some(name => name.startsWith("/deployify-") && !/_(?:next|prev)$/.test(name)));
+}
+
+async function listProjectImages(repository) {
+    const images = await docker.listImages({ filters: { reference: [repository] } });
+    return images.flatMap(img => (img.RepoTags || []).filter(tag => tag.startsWith(`${repository}:`)));
+}
+
+async function removeImage(imageName) {
+    try {
+        await docker.getImage(imageName).remove({ force: true });
+        return true;
+    } catch (err) {
+        if (err.statusCode === 404) return false;
+        throw err;
+    }
+}
+
+async function execInContainer(containerId, cmd, { detach = false } = {}) {
+    const exec = await docker.getContainer(containerId).exec({
+        Cmd: cmd,
+        AttachStdout: !detach,
+        AttachStderr: !detach
+    });
+
+    if (detach) {
+        await exec.start({ Detach: true });
+        return { exitCode: null, output: "" };
+    }
+
+    const stream = await exec.start({ hijack: true, stdin: false });
+    const output = await new Promise((resolve, reject) => {
+        let collected = "";
+        const sink = new PassThrough();
+        sink.on("data", chunk => { collected += chunk.toString(); });
+        docker.modem.demuxStream(stream, sink, sink);
+        stream.on("end", () => resolve(collected));
+        stream.on("error", reject);
+    });
+    const info = await exec.inspect();
+    return { exitCode: info.ExitCode, output };
+}
+
+// Runs inside the container's network namespace, so only sockets the container opened show up
+async function listListeningPorts(containerId) {
+    const { output } = await execInContainer(
+        containerId,
+        ["sh", "-c", "cat /proc/net/tcp /proc/net/tcp6 2>/dev/null"]
+    );
+
+    const ports = new Set();
+    for (const line of output.split("\n")) {
+        // Columns are: sl local_address rem_address st ..., where st 0A means LISTEN
+        const fields = line.trim().split(/\s+/);
+        if (fields.length < 4 || fields[3] !== "0A") continue;
+        const port = parseInt(fields[1].split(":")[1], 16);
+        if (port) ports.add(port);
+    }
+    return [...ports].sort((a, b) => a - b);
+}
+
+// Anything short of a server error counts, an API without a route on / still answers 404
+function probeHttp(port, path, timeout) {
+    return new Promise(resolve => {
+        const req = http.get({ host: "127.0.0.1", port, path, timeout }, response => {
+            response.resume();
+            resolve(response.statusCode < 500);
+        });
+        req.on("timeout", () => req.destroy());
+        req.on("error", () => resolve(false));
+    });
+}
+
+// Fills in whatever the request left out of a probe. Without a type, the fallback probe is used.
+function readinessProbe(requested, fallback) {
+    const probe = requested && requested.type ? requested : { ...fallback, ...requested };
+    return {
+        type: probe.type,
+        path: probe.type === "http" ? probe.path || "/" : undefined,
+        command: probe.type === "command" ? probe.command : undefined,
+        timeout: Number(probe.timeout) || READINESS_TIMEOUT,
+        interval: Number(probe.interval) || READINESS_INTERVAL
+    };
+}
+
+function describeProbe(probe) {
+    if (probe.type === "http") return `HTTP GET ${probe.path}`;
+    if (probe.type === "tcp") return "TCP listen";
+    return `command '${probe.command}'`;
+}
+
+// HTTP goes through the published host port so the forwarder is checked too. TCP looks for
+// a listening socket inside the container, since the forwarder accepts connections even
+// when nothing is behind it.
+async function runProbe(containerId, probe, { hostPort, port }) {
+    if (probe.type === "http") {
+        return probeHttp(hostPort, probe.path, probe.interval * 1000);
+    }
+    if (probe.type === "tcp") {
+        return (await listListeningPorts(containerId)).includes(port);
+    }
+    const { exitCode } = await execInContainer(containerId, ["sh", "-c", probe.command]);
+    return exitCode === 0;
+}
+
+// Probe timeout and interval are given in seconds, like Docker's HEALTHCHECK options
+async function waitForReady(containerId, probe, { hostPort, port, signal }) {
+    const deadline = Date.now() + probe.timeout * 1000;
+    let attempts = 0;
+
+    while (Date.now() < deadline) {
+        if (signal && signal.aborted) throw cancellationError();
+
+        const info = await docker.getContainer(containerId).inspect();
+        if (info.State.OOMKilled) {
+            const error = new Error("Container ran out of memory before becoming ready");
+            error.containerId = containerId;
+            error.oomKilled = true;
+            throw error;
+        }
+        if (!info.State.Running) {
+            const error = new Error(`Container exited with code ${info.State.ExitCode} before becoming ready`);
+            error.containerId = containerId;
+            throw error;
+        }
+        // Under a restart policy a crash shows up as a restart rather than an exited container
+        if (info.State.Restarting || info.RestartCount > 0) {
+            const error = new Error(`Container restarted ${info.RestartCount} time(s) before becoming ready, last exit code ${info.State.ExitCode}`);
+            error.containerId = containerId;
+            throw error;
+        }
+
+        attempts++;
+        if (await runProbe(containerId, probe, { hostPort, port })) return { attempts };
+        await new Promise(resolve => setTimeout(resolve, probe.interval * 1000));
+    }
+
+    const error = new Error(`Readiness probe (${describeProbe(probe)}) did not pass within ${probe.timeout}s`);
+    error.containerId = containerId;
+    throw error;
+}
+
+async function cleanupContainer(containerName, sessionId, errorMessage) {
+    const container = await findContainer(containerName);
 
     if (container) {
         const containerObj = docker.getContainer(container.Id);
@@ -87,7 +293,7 @@ async function cleanupContainer(containerName, sessionId, errorMessage) {
     }
 
     if (sessionId && errorMessage) {
-        sendProgress(sessionId, 0, `Error: ${errorMessage}`);
+        sendError(sessionId, errorMessage);
     }
 
     return errorMessage;
@@ -96,8 +302,19 @@ async function cleanupContainer(containerName, sessionId, errorMessage) {
 module.exports = {
     imageExists,
     ensureImageExists,
+    pullLogger,
+    findContainer,
+    execInContainer,
+    listListeningPorts,
+    readinessProbe,
+    describeProbe,
+    waitForReady,
+    listDeployifyContainers,
+    listProjectImages,
+    removeImage,
     cleanupContainer,
     buildImageWithRetry,
+    restartPolicyConfig,
     createAndStartContainer,
     docker
 };
\ No newline at end of file
@@ -0,0 +1,193 @@
+const dns = require("dns").promises;
+const { getProvider, tunnelFor, republishTunnel } = require("./tunnelService");
+const registry = require("./registryService");
+
+const BUSY_STATUSES = ["deploying", "redeploying", "rolling-back"];
+
+const normalize = name => name.toLowerCase().replace(/\.$/, "");
+
+function findDomain(record, domain) {
+    return ((record && record.domains) || []).find(entry => entry.domain === normalize(domain)) || null;
+}
+
+function saveDomains(projectName, update) {
+    const record = registry.getDeployment(projectName);
+    return registry.saveDeployment(projectName, { domains: update((record && record.domains) || []) });
+}
+
+// A CNAME to the target proves control of the domain. Apex domains cannot carry one, so a
+// flattened ALIAS that resolves to the target's addresses counts as well.
+async function checkDns(expected) {
+    const cnames = await dns.resolveCname(expected.name).catch(() => []);
+    if (cnames.map(normalize).includes(normalize(expected.value))) {
+        return { verified: true, found: { cname: cnames, addresses: [] } };
+    }
+
+    const [addresses, targetAddresses] = await Promise.all([
+        dns.resolve4(expected.name).catch(() => []),
+        dns.resolve4(expected.value).catch(() => [])
+    ]);
+    const verified = addresses.length > 0 && addresses.every(address => targetAddresses.includes(address));
+    return { verified, found: { cname: cnames, addresses } };
+}
+
+function domainConflict(name, record) {
+    if (!record) {
+        return { status: 404, error: `Deployment '${name}' not found.` };
+    }
+    if (BUSY_STATUSES.includes(record.status)) {
+        return { status: 409, error: `Deployment '${name}' is busy (${record.status}).` };
+    }
+    return null;
+}
+
+async function listDomains(req, res) {
+    const { name } = req.params;
+    const record = registry.getDeployment(name);
+    if (!record) {
+        return res.status(404).json({ error: `Deployment '${name}' not found.` });
+    }
+    return res.status(200).json({ domains: record.domains || [] });
+}
+
+async function addDomain(req, res) {
+    const { name } = req.params;
+    const domain = normalize(req.body.domain);
+
+    try {
+        const record = registry.getDeployment(name);
+        const conflict = domainConflict(name, record);
+        if (conflict) {
+            return res.status(conflict.status).json({ error: conflict.error });
+        }
+        if (record.type === "mongodb") {
+            return res.status(400).json({ error: "Custom domains are only available for HTTP deployments." });
+        }
+
+        const existing = findDomain(record, domain);
+        if (existing) {
+            return res.status(200).json({ message: `${domain} is already attached`, domain: existing, records: [existing.record] });
+        }
+        const owner = registry.listDeployments().find(other => findDomain(other, domain));
+        if (owner) {
+            return res.status(409).json({ error: `${domain} is already attached to deployment '${owner.projectName}'.` });
+        }
+
+        const provider = getProvider(tunnelFor(record, name).provider);
+        if (!provider.attachDomain) {
+            return res.status(400).json({
+                error: `The ${provider.name} tunnel cannot serve custom domains, deploy with ngrok or proxy to use them.`
+            });
+        }
+        const unavailable = provider.missingConfiguration()
+            || (provider.missingDomainConfiguration && provider.missingDomainConfiguration());
+        if (unavailable) {
+            return res.status(500).json({ error: unavailable });
+        }
+
+        const entry = {
+            domain,
+            record: await provider.attachDomain({ projectName: name, domain }),
+            verified: false,
+            addedAt: new Date().toISOString(),
+            verifiedAt: null,
+            lastCheck: null
+        };
+        saveDomains(name, domains => [...domains, entry]);
+
+        return res.status(201).json({
+            message: `Create the DNS record below, then verify ${domain}`,
+            domain: entry,
+            records: [entry.record]
+        });
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: `Failed to add domain: ${error.message}` });
+    }
+}
+
+async function verifyDomain(req, res) {
+    const { name } = req.params;
+    const domain = normalize(req.params.domain);
+
+    try {
+        const record = registry.getDeployment(name);
+        const conflict = domainConflict(name, record);
+        if (conflict) {
+            return res.status(conflict.status).json({ error: conflict.error });
+        }
+        const entry = findDomain(record, domain);
+        if (!entry) {
+            return res.status(404).json({ error: `Domain '${domain}' is not attached to '${name}'.` });
+        }
+
+        const { verified, found } = await checkDns(entry.record);
+        const lastCheck = { at: new Date().toISOString(), verified, found };
+        const wasVerified = entry.verified;
+        saveDomains(name, domains => domains.map(item => item.domain === domain
+            ? { ...item, verified: item.verified || verified, verifiedAt: item.verifiedAt || (verified ? lastCheck.at : null), lastCheck }
+            : item));
+
+        if (!verified) {
+            return res.status(422).json({
+                error: `${domain} does not point at ${entry.record.value} yet. DNS changes can take a while to propagate.`,
+                expected: entry.record,
+                found
+            });
+        }
+
+        let published = false;
+        if (!wasVerified) {
+            try {
+                published = await republishTunnel(name);
+            } catch (error) {
+                return res.status(502).json({
+                    error: `${domain} is verified, but the tunnel could not publish it: ${error.message}. The next redeploy tries again.`,
+                    domain: findDomain(registry.getDeployment(name), domain)
+                });
+            }
+        }
+
+        return res.status(200).json({
+            message: `${domain} is verified`,
+            published,
+            domain: findDomain(registry.getDeployment(name), domain)
+        });
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: `Failed to verify domain: ${error.message}` });
+    }
+}
+
+async function removeDomain(req, res) {
+    const { name } = req.params;
+    const domain = normalize(req.params.domain);
+
+    try {
+        const record = registry.getDeployment(name);
+        const conflict = domainConflict(name, record);
+        if (conflict) {
+            return res.status(conflict.status).json({ error: conflict.error });
+        }
+        const entry = findDomain(record, domain);
+        if (!entry) {
+            return res.status(404).json({ error: `Domain '${domain}' is not attached to '${name}'.` });
+        }
+
+        saveDomains(name, domains => domains.filter(item => item.domain !== domain));
+        const leftovers = [];
+        if (entry.verified) {
+            await republishTunnel(name).catch(error => leftovers.push(`tunnel: ${error.message}`));
+        }
+
+        const provider = getProvider(tunnelFor(record, name).provider);
+        if (provider.detachDomain) {
+            await provider.detachDomain({ projectName: name, domain })
+                .catch(error => leftovers.push(`${provider.name} reservation: ${error.message}`));
+        }
+
+        return res.status(200).json({ message: `${domain} removed from '${name}'`, leftovers });
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: `Failed to remove domain: ${error.message}` });
+    }
+}
+
+module.exports = { listDomains, addDomain, verifyDomain, removeDomain };
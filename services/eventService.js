@@ -0,0 +1,189 @@
+const { CRASH_LOOP_THRESHOLD, CRASH_LOOP_WINDOW, LIFECYCLE_HISTORY_SIZE } = require("../config");
+const { docker } = require("./dockerService");
+const { sendStatus } = require("./progressService");
+const registry = require("./registryService");
+
+const WATCHED_EVENTS = ["start", "kill", "die", "oom", "restart"];
+
+// Deploys and user actions own every other status, container events only move between these
+const WATCHED_STATUSES = ["running", "crashed", "oom-killed", "crash-looping"];
+
+// docker stop, restart and rm -f all signal the container before it dies, a crash does not
+const REQUESTED_STOP_WINDOW = 60 * 1000;
+const RECONNECT_DELAY = 5000;
+
+// containerId -> { killedAt, oom } for containers that are about to die
+const pending = new Map();
+const recoveryTimers = new Map();
+let lastEventTime = null;
+let watching = false;
+
+function projectFor(event) {
+    const name = event.Actor && event.Actor.Attributes && event.Actor.Attributes.name;
+    // Replacement containers are judged by the readiness probe of the deploy that started them,
+    // and the container a swap sets aside is stopped on purpose
+    if (!name || !name.startsWith("deployify-") || /_(?:next|prev)$/.test(name)) return null;
+    return name.slice("deployify-".length);
+}
+
+function recordEvent(projectName, entry) {
+    const record = registry.getDeployment(projectName);
+    if (!record) return null;
+    const lifecycleEvents = [...(record.lifecycleEvents || []), entry].slice(-LIFECYCLE_HISTORY_SIZE);
+    return registry.saveDeployment(projectName, { lifecycleEvents });
+}
+
+function recentCrashes(record, now = Date.now()) {
+    return (record.lifecycleEvents || [])
+        .filter(entry => entry.type === "crash" && now - Date.parse(entry.at) <= CRASH_LOOP_WINDOW)
+        .length;
+}
+
+function changeStatus(projectName, status, details = {}) {
+    const record = registry.getDeployment(projectName);
+    if (!record || !WATCHED_STATUSES.includes(record.status) || record.status === status) return;
+    registry.setStatus(projectName, status, { error: details.error || null });
+    sendStatus(projectName, status, details);
+}
+
+// A crash-looping deployment counts as recovered once it has stayed up for a whole window
+function scheduleRecovery(projectName) {
+    clearTimeout(recoveryTimers.get(projectName));
+    const timer = setTimeout(() => {
+        recoveryTimers.delete(projectName);
+        const record = registry.getDeployment(projectName);
+        if (record && record.status === "crash-looping" && !recentCrashes(record)) {
+            changeStatus(projectName, "running", { message: `Stayed up for ${CRASH_LOOP_WINDOW / 1000}s, no longer crash-looping` });
+        }
+    }, CRASH_LOOP_WINDOW);
+    timer.unref();
+    recoveryTimers.set(projectName, timer);
+}
+
+function handleDie(projectName, containerId, at, exitCode) {
+    const { killedAt, oom } = pending.get(containerId) || {};
+    pending.delete(containerId);
+
+    if (killedAt && Date.parse(at) - killedAt <= REQUESTED_STOP_WINDOW && !oom) {
+        recordEvent(projectName, { type: "stop", at, exitCode });
+        return;
+    }
+
+    clearTimeout(recoveryTimers.get(projectName));
+    const record = recordEvent(projectName, { type: "crash", at, exitCode, oomKilled: Boolean(oom) });
+    if (!record) return;
+
+    const crashes = recentCrashes(record);
+    const reason = oom ? "was killed for running out of memory" : `exited with code ${exitCode}`;
+    if (crashes >= CRASH_LOOP_THRESHOLD) {
+        changeStatus(projectName, "crash-looping", {
+            error: `Crashed ${crashes} times in the last ${CRASH_LOOP_WINDOW / 1000}s, last time it ${reason}`,
+            exitCode,
+            oomKilled: Boolean(oom),
+            crashes
+        });
+    } else {
+        changeStatus(projectName, oom ? "oom-killed" : "crashed", {
+            error: `The container ${reason}`,
+            exitCode,
+            oomKilled: Boolean(oom),
+            crashes
+        });
+    }
+}
+
+function handleEvent(event) {
+    const projectName = projectFor(event);
+    if (!projectName) return;
+
+    const action = event.Action || event.status;
+    const containerId = event.Actor.ID || event.id;
+    const at = new Date(event.timeNano ? Math.floor(event.timeNano / 1e6) : event.time * 1000).toISOString();
+
+    if (action === "kill") {
+        pending.set(containerId, { ...pending.get(containerId), killedAt: Date.parse(at) });
+    } else if (action === "oom") {
+        pending.set(containerId, { ...pending.get(containerId), oom: true });
+        recordEvent(projectName, { type: "oom", at });
+    } else if (action === "die") {
+        handleDie(projectName, containerId, at, parseInt(event.Actor.Attributes.exitCode, 10));
+    } else if (action === "restart") {
+        recordEvent(projectName, { type: "restart", at });
+    } else if (action === "start") {
+        const record = recordEvent(projectName, { type: "start", at });
+        // Restarts by the restart policy only show up as another start
+        if (record && ["crashed", "oom-killed"].includes(record.status)) {
+            changeStatus(projectName, "running", { message: "The container was restarted" });
+        } else if (record && record.status === "crash-looping") {
+            scheduleRecovery(projectName);
+        }
+    }
+}
+
+function reconnect(error) {
+    if (error) console.warn(`WARNING: Lost the Docker event stream: ${error.message}`);
+    setTimeout(connect, RECONNECT_DELAY).unref();
+}
+
+async function connect() {
+    let stream;
+    try {
+        // Resuming from the last event replays whatever happened while disconnected
+        stream = await docker.getEvents({
+            since: lastEventTime || undefined,
+            filters: { type: ["container"], event: WATCHED_EVENTS }
+        });
+    } catch (error) {
+        return reconnect(error);
+    }
+
+    let carry = "";
+    let closed = false;
+    const close = error => {
+        if (closed) return;
+        closed = true;
+        reconnect(error);
+    };
+
+    stream.on("data", chunk => {
+        const lines = (carry + chunk.toString("utf8")).split("\n");
+        carry = lines.pop();
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const event = JSON.parse(line);
+                lastEventTime = event.time;
+                handleEvent(event);
+            } catch (error) {
+                console.warn(`WARNING: Could not handle Docker event: ${error.message}`);
+            }
+        }
+    });
+    stream.on("end", () => close());
+    stream.on("error", close);
+}
+
+function watchContainerEvents() {
+    if (watching) return;
+    watching = true;
+    connect();
+}
+
+async function getEvents(req, res) {
+    const { name } = req.params;
+    const record = registry.getDeployment(name);
+    if (!record) {
+        return res.status(404).json({ error: `Deployment '${name}' not found.` });
+    }
+
+    const events = record.lifecycleEvents || [];
+    return res.status(200).json({
+        status: record.status,
+        restartPolicy: record.restartPolicy || null,
+        crashLooping: record.status === "crash-looping",
+        recentCrashes: recentCrashes(record),
+        events: [...events].reverse()
+    });
+}
+
+module.exports = { watchContainerEvents, getEvents };
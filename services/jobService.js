@@ -0,0 +1,249 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { MAX_CONCURRENT_BUILDS, JOB_RETENTION } = require("../config");
+const { sendProgress } = require("./progressService");
+const { describeCredentials } = require("./secretService");
+
+const FINAL_STATES = ["succeeded", "failed", "cancelled"];
+
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+function now() {
+    return new Date().toISOString();
+}
+
+// Only a job's own status URL carries its result, the list shows every caller every job
+function publicJob(job, { withResult = true } = {}) {
+    const position = queue.findIndex(entry => entry.job === job);
+    return {
+        id: job.id,
+        type: job.type,
+        projectName: job.projectName,
+        sessionId: job.sessionId,
+        state: job.state,
+        queuePosition: position === -1 ? null : position + 1,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        statusCode: job.statusCode,
+        result: withResult ? job.result : undefined,
+        error: job.error
+    };
+}
+
+function setJobState(job, state) {
+    if (!job || FINAL_STATES.includes(job.state) || job.state === "cancelling") return;
+    job.state = state;
+}
+
+function finishJob(job, statusCode, body) {
+    if (FINAL_STATES.includes(job.state)) return;
+
+    job.statusCode = statusCode;
+    job.finishedAt = now();
+    if (job.controller.signal.aborted && statusCode >= 400) {
+        job.state = "cancelled";
+        job.error = "Cancelled by request";
+        job.result = body;
+    } else if (statusCode < 400) {
+        job.state = "succeeded";
+        job.result = body;
+    } else {
+        job.state = "failed";
+        job.error = body && body.error ? body.error : "Job failed";
+        job.result = body;
+    }
+}
+
+// Stands in for the Express response so the deploy handlers can run detached from the request
+function jobResponse(job) {
+    return {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            finishJob(job, this.statusCode, body);
+            return this;
+        }
+    };
+}
+
+// Uploaded archives only live as long as the job that consumes them
+function releaseUpload(req) {
+    if (req.file) fs.rmSync(req.file.path, { force: true });
+}
+
+function drain() {
+    while (running < MAX_CONCURRENT_BUILDS && queue.length) {
+        const { job, handler, req } = queue.shift();
+        running++;
+        job.state = "building";
+        job.startedAt = now();
+
+        Promise.resolve()
+            .then(() => handler(req, jobResponse(job)))
+            .catch(err => finishJob(job, 500, { error: err.message }))
+            .finally(() => {
+                finishJob(job, 500, { error: "Job ended without a result" });
+                releaseUpload(req);
+                running--;
+                drain();
+            });
+    }
+
+    queue.forEach(({ job }, index) => {
+        sendProgress(job.sessionId, 0, `Queued, position ${index + 1}`);
+    });
+}
+
+function pruneJobs() {
+    const cutoff = Date.now() - JOB_RETENTION;
+    for (const [id, job] of jobs) {
+        if (FINAL_STATES.includes(job.state) && Date.parse(job.finishedAt) < cutoff) {
+            jobs.delete(id);
+        }
+    }
+}
+
+setInterval(pruneJobs, 60 * 1000).unref();
+
+function activeJob(projectName) {
+    return [...jobs.values()].find(job =>
+        job.projectName && job.projectName === projectName && !FINAL_STATES.includes(job.state)
+    );
+}
+
+// Keeps handlers that run inside the request from touching a project while a job still owns it
+function requireIdle(req, res, next) {
+    const active = activeJob(req.params.name);
+    if (active) {
+        return res.status(409).json({
+            error: `Project '${req.params.name}' has a ${active.state} job, cancel it or wait for it to finish.`,
+            jobId: active.id
+        });
+    }
+    return next();
+}
+
+function enqueue(type, handler) {
+    return (req, res) => {
+        const projectName = req.params.name || req.body.projectName;
+        const active = activeJob(projectName);
+        if (active) {
+            releaseUpload(req);
+            return res.status(409).json({
+                error: `Project '${projectName}' already has a ${active.state} job.`,
+                jobId: active.id
+            });
+        }
+
+        // Without a client supplied session the job id doubles as the progress channel
+        const id = crypto.randomUUID();
+        const sessionId = req.query.sessionId || id;
+        req.query.sessionId = sessionId;
+
+        const job = {
+            id,
+            type,
+            projectName: projectName || null,
+            sessionId,
+            state: "queued",
+            createdAt: now(),
+            startedAt: null,
+            finishedAt: null,
+            statusCode: null,
+            result: null,
+            error: null,
+            controller: new AbortController()
+        };
+        job.signal = job.controller.signal;
+        jobs.set(id, job);
+        req.job = job;
+        queue.push({ job, handler, req });
+        drain();
+
+        return res.status(202).json({
+            jobId: id,
+            sessionId,
+            state: job.state,
+            statusUrl: `/jobs/${id}`
+        });
+    };
+}
+
+// Generated database credentials are handed out once, later reads see them masked
+function maskCredentials(result) {
+    if (!result || !result.password) return result;
+    return { ...result, ...describeCredentials(result) };
+}
+
+function getJob(req, res) {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Job '${req.params.id}' not found.` });
+    }
+    const body = publicJob(job);
+    job.result = maskCredentials(job.result);
+    return res.status(200).json(body);
+}
+
+function cancel(job) {
+    const position = queue.findIndex(entry => entry.job === job);
+    if (position !== -1) {
+        // Nothing has been created yet for a job that never left the queue
+        const [{ req }] = queue.splice(position, 1);
+        releaseUpload(req);
+        job.controller.abort();
+        finishJob(job, 409, { error: "Deployment cancelled" });
+        sendProgress(job.sessionId, 0, "Deployment cancelled before it started");
+        return;
+    }
+
+    job.state = "cancelling";
+    job.controller.abort();
+    sendProgress(job.sessionId, 0, "Cancelling deployment...");
+}
+
+function cancelJob(req, res) {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Job '${req.params.id}' not found.` });
+    }
+    if (FINAL_STATES.includes(job.state)) {
+        return res.status(409).json({ error: `Job '${job.id}' has already ${job.state}.` });
+    }
+
+    cancel(job);
+    return res.status(202).json(publicJob(job));
+}
+
+function cancelProjectJob(req, res) {
+    const job = activeJob(req.params.name);
+    if (!job) {
+        return res.status(404).json({ error: `No deployment in progress for '${req.params.name}'.` });
+    }
+
+    cancel(job);
+    return res.status(202).json(publicJob(job));
+}
+
+function listJobs(req, res) {
+    const list = [...jobs.values()]
+        .filter(job => !req.query.state || job.state === req.query.state)
+        .map(job => publicJob(job, { withResult: false }));
+    return res.status(200).json({ running, queued: queue.length, jobs: list });
+}
+
+module.exports = {
+    enqueue,
+    requireIdle,
+    setJobState,
+    getJob,
+    listJobs,
+    cancelJob,
+    cancelProjectJob
+};
@@ -0,0 +1,272 @@
+const fs = require("fs");
+const path = require("path");
+const { PROJECTS_DIR, PROXY_PORT } = require("../config");
+const { docker, findContainer, listDeployifyContainers, listProjectImages, removeImage, cleanupContainer } = require("./dockerService");
+const registry = require("./registryService");
+const { describeEnv, maskEnvEntries, describeCredentials } = require("./secretService");
+const { describeAccess } = require("./accessService");
+const { getProvider, tunnelFor, sidecarName } = require("./tunnelService");
+const { proxyUrl } = require("./proxyService");
+
+// Credentials are only returned when a single deployment is requested, env vars never leave encrypted
+function publicRecord(record) {
+    if (!record) return {};
+    const { credentials, env, access, ...rest } = record;
+    const routed = PROXY_PORT && record.type !== "mongodb";
+    return {
+        ...rest,
+        variables: describeEnv(env),
+        access: describeAccess(access),
+        proxyUrl: routed ? proxyUrl(record.projectName) : undefined
+    };
+}
+
+function summarizeContainer(container, sidecar, record) {
+    const projectName = container.Names[0].replace(/^\/deployify-/, "");
+    return {
+        ...publicRecord(record),
+        projectName,
+        containerName: `deployify-${projectName}`,
+        containerId: container.Id,
+        image: container.Image,
+        state: container.State,
+        status: container.Status,
+        ports: (container.Ports || [])
+            .filter(port => port.PublicPort)
+            .map(port => ({ privatePort: port.PrivatePort, publicPort: port.PublicPort, type: port.Type })),
+        createdAt: new Date(container.Created * 1000).toISOString(),
+        sidecar: sidecar ? { containerName: sidecarName(projectName), state: sidecar.State, status: sidecar.Status } : null
+    };
+}
+
+async function resolveDeployment(projectName) {
+    const record = registry.getDeployment(projectName);
+    const container = await findContainer(`deployify-${projectName}`);
+    if (!container && !record) return null;
+    const sidecar = await findContainer(sidecarName(projectName));
+    return { container, sidecar, record };
+}
+
+// Registry entries whose container is gone still show up so failed deploys can be inspected and deleted
+function summarizeRecord(record) {
+    return {
+        ...publicRecord(record),
+        containerId: null,
+        state: "missing",
+        sidecar: null
+    };
+}
+
+async function listDeployments(req, res) {
+    try {
+        const containers = await listDeployifyContainers();
+        const deployments = [];
+        const seen = new Set();
+        for (const container of containers) {
+            const projectName = container.Names[0].replace(/^\/deployify-/, "");
+            seen.add(projectName);
+            deployments.push(summarizeContainer(
+                container,
+                await findContainer(sidecarName(projectName)),
+                registry.getDeployment(projectName)
+            ));
+        }
+        for (const record of registry.listDeployments()) {
+            if (!seen.has(record.projectName)) deployments.push(summarizeRecord(record));
+        }
+        return res.status(200).json({ deployments });
+    } catch (error) {
+        return res.status(500).json({ error: `Failed to list deployments: ${error.message}` });
+    }
+}
+
+async function getDeployment(req, res) {
+    const { name } = req.params;
+
+    try {
+        const deployment = await resolveDeployment(name);
+        if (!deployment) {
+            return res.status(404).json({ error: `Deployment '${name}' not found.` });
+        }
+
+        if (!deployment.container) {
+            return res.status(200).json({ ...summarizeRecord(deployment.record), credentials: describeCredentials(deployment.record.credentials) });
+        }
+
+        const info = await docker.getContainer(deployment.container.Id).inspect();
+        return res.status(200).json({
+            ...summarizeContainer(deployment.container, deployment.sidecar, deployment.record),
+            credentials: deployment.record ? describeCredentials(deployment.record.credentials) : undefined,
+            startedAt: info.State.StartedAt,
+            finishedAt: info.State.FinishedAt,
+            exitCode: info.State.ExitCode,
+            oomKilled: info.State.OOMKilled,
+            restartCount: info.RestartCount,
+            env: maskEnvEntries(
+                (info.Config.Env || []).filter(entry => !entry.startsWith("NGROK_AUTHTOKEN=") && !entry.startsWith("MONGO_INITDB_ROOT_PASSWORD=")),
+                deployment.record ? deployment.record.env : {}
+            )
+        });
+    } catch (error) {
+        return res.status(500).json({ error: `Failed to inspect deployment: ${error.message}` });
+    }
+}
+
+async function listReleases(req, res) {
+    const { name } = req.params;
+
+    try {
+        const record = registry.getDeployment(name);
+        if (!record) {
+            return res.status(404).json({ error: `Deployment '${name}' not found.` });
+        }
+
+        const availableImages = await listProjectImages(`deployify-${name}`);
+        const releases = (record.releases || []).map(release => ({
+            ...release,
+            current: release.release === record.currentRelease,
+            available: availableImages.includes(release.image)
+        }));
+        return res.status(200).json({ currentRelease: record.currentRelease || null, releases: releases.reverse() });
+    } catch (error) {
+        return res.status(500).json({ error: `Failed to list releases: ${error.message}` });
+    }
+}
+
+async function getReleaseLog(req, res) {
+    const { name, release } = req.params;
+
+    try {
+        if (!registry.getDeployment(name)) {
+            return res.status(404).json({ error: `Deployment '${name}' not found.` });
+        }
+
+        const log = registry.readBuildLog(name, parseInt(release, 10));
+        if (log === null) {
+            return res.status(404).json({ error: `No build log for release '${release}'.` });
+        }
+        return res.status(200).type("text/plain").send(log);
+    } catch (error) {
+        return res.status(500).json({ error: `Failed to read build log: ${error.message}` });
+    }
+}
+
+async function getEnvironment(req, res) {
+    const record = registry.getDeployment(req.params.name);
+    if (!record) {
+        return res.status(404).json({ error: `Deployment '${req.params.name}' not found.` });
+    }
+    return res.status(200).json({ variables: describeEnv(record.env) });
+}
+
+// Docker answers 304 when the container is already in the requested state
+function ignoreNotModified(err) {
+    if (err.statusCode !== 304) throw err;
+}
+
+const actions = {
+    stop: container => container.stop({ t: 10 }).catch(ignoreNotModified),
+    start: container => container.start().catch(ignoreNotModified),
+    restart: container => container.restart({ t: 10 })
+};
+
+function changeState(action) {
+    return async (req, res) => {
+        const { name } = req.params;
+
+        try {
+            const deployment = await resolveDeployment(name);
+            if (!deployment || !deployment.container) {
+                return res.status(404).json({ error: `Deployment '${name}' not found.` });
+            }
+
+            // The app container has to be up before its tunnel sidecar and down after it
+            const targets = [deployment.container, deployment.sidecar].filter(Boolean);
+            if (action === "stop") targets.reverse();
+            for (const target of targets) {
+                await actions[action](docker.getContainer(target.Id));
+            }
+
+            const info = await docker.getContainer(deployment.container.Id).inspect();
+            registry.setStatus(name, info.State.Running ? "running" : "stopped");
+            return res.status(200).json({
+                message: `Deployment '${name}' ${action === "stop" ? "stopped" : action === "start" ? "started" : "restarted"}`,
+                state: info.State.Status
+            });
+        } catch (error) {
+            return res.status(500).json({ error: `Failed to ${action} deployment: ${error.message}` });
+        }
+    };
+}
+
+async function deleteDeployment(req, res) {
+    const { name } = req.params;
+    const projectPath = path.resolve(PROJECTS_DIR, name);
+
+    if (path.dirname(projectPath) !== PROJECTS_DIR) {
+        return res.status(400).json({ error: "Invalid project name." });
+    }
+
+    try {
+        const deployment = await resolveDeployment(name);
+        if (!deployment) {
+            return res.status(404).json({ error: `Deployment '${name}' not found.` });
+        }
+
+        const tunnel = tunnelFor(deployment.record, name);
+        const provider = getProvider(tunnel.provider);
+        await provider.stop(sidecarName(name));
+        await provider.stop(sidecarName(name, "_next"));
+        await cleanupContainer(`deployify-${name}`);
+        await cleanupContainer(`deployify-${name}_next`);
+        await cleanupContainer(`deployify-${name}_prev`);
+
+        // MongoDB deployments run the shared mongo image, only built images belong to the project
+        let imageRemoved = false;
+        for (const tag of await listProjectImages(`deployify-${name}`)) {
+            imageRemoved = (await removeImage(tag)) || imageRemoved;
+        }
+
+        // A reservation that cannot be released now shows up as an orphan in the reservation list
+        let reservationReleased = false;
+        const leftovers = [];
+        for (const { domain } of (deployment.record && deployment.record.domains) || []) {
+            if (!provider.detachDomain) break;
+            await provider.detachDomain({ projectName: name, domain })
+                .catch(error => leftovers.push(`${domain}: ${error.message}`));
+        }
+        if (tunnel.endpoint) {
+            try {
+                reservationReleased = await provider.release(tunnel.endpoint, tunnel.type);
+            } catch (error) {
+                leftovers.push(`${provider.name} reservation: ${error.message}`);
+            }
+        }
+
+        fs.rmSync(projectPath, { recursive: true, force: true });
+        // Source staged by a redeploy that never finished
+        fs.rmSync(`${projectPath}.next`, { recursive: true, force: true });
+        registry.removeDeployment(name);
+
+        return res.status(200).json({
+            message: `Deployment '${name}' deleted`,
+            imageRemoved,
+            reservationReleased,
+            leftovers
+        });
+    } catch (error) {
+        return res.status(500).json({ error: `Failed to delete deployment: ${error.message}` });
+    }
+}
+
+module.exports = {
+    listDeployments,
+    getDeployment,
+    listReleases,
+    getReleaseLog,
+    getEnvironment,
+    stopDeployment: changeState("stop"),
+    startDeployment: changeState("start"),
+    restartDeployment: changeState("restart"),
+    deleteDeployment
+};
@@ -0,0 +1,171 @@
+const { PassThrough } = require("stream");
+const { docker, findContainer } = require("./dockerService");
+const registry = require("./registryService");
+const { secretValues, maskSecrets } = require("./secretService");
+
+const CONTAINER_PREFIXES = {
+    app: "deployify-",
+    sidecar: "ngrok-"
+};
+
+function parseSince(since) {
+    if (since === undefined || since === "") return 0;
+    if (/^\d+$/.test(since)) return parseInt(since, 10);
+
+    const time = Date.parse(since);
+    if (Number.isNaN(time)) return null;
+    return Math.floor(time / 1000);
+}
+
+function parseTail(tail) {
+    if (tail === undefined || tail === "") return 100;
+    if (tail === "all") return "all";
+    if (/^\d+$/.test(tail)) return parseInt(tail, 10);
+    return null;
+}
+
+// Lines arrive as "<RFC3339 timestamp> <message>" because timestamps are requested
+function toEntry(stream, line) {
+    const space = line.indexOf(" ");
+    return {
+        stream,
+        timestamp: space > 0 ? line.slice(0, space) : null,
+        message: space > 0 ? line.slice(space + 1) : line
+    };
+}
+
+// Non-TTY containers multiplex stdout and stderr as frames with an 8 byte header
+function demuxBuffer(buffer) {
+    const entries = [];
+    let offset = 0;
+
+    while (offset + 8 <= buffer.length) {
+        const stream = buffer[offset] === 2 ? "stderr" : "stdout";
+        const size = buffer.readUInt32BE(offset + 4);
+        const payload = buffer.slice(offset + 8, offset + 8 + size).toString("utf8");
+        for (const line of payload.split("\n")) {
+            if (line) entries.push(toEntry(stream, line));
+        }
+        offset += 8 + size;
+    }
+
+    return entries;
+}
+
+function lineReader(stream, onEntry) {
+    const reader = new PassThrough();
+    let carry = "";
+
+    reader.on("data", chunk => {
+        const lines = (carry + chunk.toString("utf8")).split("\n");
+        carry = lines.pop();
+        for (const line of lines) {
+            if (line) onEntry(toEntry(stream, line));
+        }
+    });
+    reader.on("end", () => {
+        if (carry) onEntry(toEntry(stream, carry));
+    });
+
+    return reader;
+}
+
+function maskEntries(entries, secrets) {
+    if (!secrets.length) return entries;
+    return entries.map(entry => ({ ...entry, message: maskSecrets(entry.message, secrets) }));
+}
+
+// Exit state and the last log lines of a container, for reporting why a deploy failed
+async function containerDiagnostics(containerId, { tail = 50, secrets = [] } = {}) {
+    const container = docker.getContainer(containerId);
+    const info = await container.inspect();
+    const buffer = await container.logs({ stdout: true, stderr: true, timestamps: true, tail });
+    return {
+        state: info.State.Status,
+        exitCode: info.State.Running ? null : info.State.ExitCode,
+        oomKilled: Boolean(info.State.OOMKilled),
+        logs: maskEntries(demuxBuffer(buffer), secrets)
+    };
+}
+
+// Errors from readiness checks name the container they gave up on
+async function attachDiagnostics(error, secrets = []) {
+    if (!error.containerId || error.diagnostics) return;
+    try {
+        error.diagnostics = await containerDiagnostics(error.containerId, { secrets });
+    } catch (diagnosticsError) {
+        // The container may already be gone, the error message still explains what failed
+    }
+}
+
+async function getLogs(req, res) {
+    const { name } = req.params;
+    const target = req.query.container || "app";
+    const tail = parseTail(req.query.tail);
+    const since = parseSince(req.query.since);
+    const follow = req.query.follow === "true" || req.query.follow === "1";
+
+    const problems = [];
+    if (!CONTAINER_PREFIXES[target]) problems.push("container must be 'app' or 'sidecar'");
+    if (tail === null) problems.push("tail must be a number or 'all'");
+    if (since === null) problems.push("since must be a unix timestamp or an ISO date");
+    if (problems.length) {
+        return res.status(400).json({ error: "Invalid log query.", problems });
+    }
+
+    try {
+        const info = await findContainer(`${CONTAINER_PREFIXES[target]}${name}`);
+        if (!info) {
+            return res.status(404).json({ error: `No ${target} container found for deployment '${name}'.` });
+        }
+
+        const container = docker.getContainer(info.Id);
+        const record = registry.getDeployment(name);
+        const secrets = record ? secretValues(record.env) : [];
+        const options = { stdout: true, stderr: true, timestamps: true, tail, since };
+
+        if (!follow) {
+            const buffer = await container.logs({ ...options, follow: false });
+            return res.status(200).json({ container: target, lines: maskEntries(demuxBuffer(buffer), secrets) });
+        }
+
+        const stream = await container.logs({ ...options, follow: true });
+
+        res.status(200).set({
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive"
+        });
+        res.flushHeaders();
+
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        const sendEntry = entry => send("log", maskEntries([entry], secrets)[0]);
+        const stdout = lineReader("stdout", sendEntry);
+        const stderr = lineReader("stderr", sendEntry);
+        docker.modem.demuxStream(stream, stdout, stderr);
+
+        // Close the response once both readers have flushed their last partial line
+        let openReaders = 2;
+        const readerDone = () => {
+            if (--openReaders > 0) return;
+            send("end", { message: "Container stopped" });
+            res.end();
+        };
+        stdout.on("end", readerDone);
+        stderr.on("end", readerDone);
+        stream.on("end", () => {
+            stdout.end();
+            stderr.end();
+        });
+        stream.on("error", err => {
+            send("error", { message: err.message });
+            res.end();
+        });
+        req.on("close", () => stream.destroy());
+    } catch (error) {
+        if (res.headersSent) return res.end();
+        return res.status(500).json({ error: `Failed to read logs: ${error.message}` });
+    }
+}
+
+module.exports = { getLogs, containerDiagnostics, attachDiagnostics };
@@ -1,28 +1,62 @@
 const fs = require("fs");
 const crypto = require("crypto");
 const path = require("path");
-const { PROJECTS_DIR, NGROK_AUTHTOKEN } = require("../config");
-const { sendProgress } = require("./progressService");
-const { ensureImageExists, cleanupContainer, docker } = require("./dockerService");
-const { createNgrokReservedAddress } = require("./ngrokService");
-const { getAvailablePort } = require("../utils");
+const { PROJECTS_DIR, DEFAULT_RESTART_POLICY } = require("../config");
+const { sendProgress, sendError, sendResult } = require("./progressService");
+const {
+    ensureImageExists,
+    cleanupContainer,
+    pullLogger,
+    restartPolicyConfig,
+    readinessProbe,
+    describeProbe,
+    waitForReady,
+    docker
+} = require("./dockerService");
+const { getProvider, sidecarName } = require("./tunnelService");
+const { mergeAccess } = require("./accessService");
+const { getAvailablePort, createRollback, throwIfCancelled } = require("../utils");
+const registry = require("./registryService");
+const { setJobState } = require("./jobService");
+const { attachDiagnostics } = require("./logService");
+const { resolveLimits, hostConfigLimits } = require("./resourceService");
+const { sealCredentials } = require("./secretService");
+
+// ping needs no credentials, so it works before the root user exists
+function mongoPing(port) {
+    return { type: "command", command: `mongosh --quiet --port ${port} --eval "db.adminCommand('ping')"` };
+}
+
+// Docker expects healthcheck durations in nanoseconds
+function mongoHealthcheck(readiness) {
+    const seconds = value => value * 1000000000;
+    const test = readiness.type === "tcp"
+        ? `grep -Eq ":$(printf '%04X' $MONGO_PORT) [0-9A-F]+:[0-9A-F]+ 0A" /proc/net/tcp /proc/net/tcp6 || exit 1`
+        : `${readiness.command} || exit 1`;
+    return {
+        Test: ["CMD-SHELL", test],
+        Interval: seconds(readiness.interval),
+        Timeout: seconds(5),
+        StartPeriod: seconds(readiness.timeout),
+        Retries: 3
+    };
+}
 
 async function deployMongoDB(req, res) {
     const { projectName } = req.body;
+    const restartPolicy = req.body.restartPolicy || DEFAULT_RESTART_POLICY;
+    const limits = resolveLimits(req.body);
     const sessionId = req.query.sessionId;
+    const signal = req.job ? req.job.signal : undefined;
+    const provider = getProvider(req.body.tunnel);
+    const rollback = createRollback();
 
-    if (!projectName) {
-        return res.status(400).json({ error: "Invalid request data." });
-    }
-
-    if (!NGROK_AUTHTOKEN) {
-        return res.status(500).json({
-            error: "Missing ngrok auth token configuration."
-        });
+    const unavailable = provider.missingConfiguration();
+    if (unavailable) {
+        return res.status(500).json({ error: unavailable });
     }
 
     const mongoContainerName = `deployify-${projectName}`;
-    const ngrokContainerName = `ngrok-${projectName}`;
 
     try {
         const containers = await docker.listContainers({ all: true });
@@ -31,108 +65,152 @@ async function deployMongoDB(req, res) {
                 error: `Container '${mongoContainerName}' already exists. Please choose a different project name.`,
             });
         }
-        sendProgress(sessionId, 10, "Creating Ngrok reserved TCP address...");
-        let tcpAddress;
+        const isNewRecord = !registry.getDeployment(projectName);
+        registry.saveDeployment(projectName, {
+            type: "mongodb",
+            language: "mongodb",
+            containerName: mongoContainerName,
+            sidecarName: sidecarName(projectName),
+            restartPolicy,
+            limits,
+            access: mergeAccess(null, req.body.access),
+            status: "deploying",
+            error: null
+        });
+        rollback.add("registry record", () => {
+            if (isNewRecord && signal && signal.aborted) registry.removeDeployment(projectName);
+        });
+
+        sendProgress(sessionId, 10, `Reserving ${provider.name} TCP endpoint...`);
+        let endpoint;
         try {
-            tcpAddress = await createNgrokReservedAddress(`MongoDB-${projectName}`);
+            endpoint = await provider.reserve({ projectName, type: "tcp" });
         } catch (err) {
-            return res.status(500).json({
-                error: "Failed to create Ngrok reserved address: " + err.message
-            });
+            throw new Error(`Failed to reserve a ${provider.name} TCP endpoint: ${err.message}`);
         }
-        // Extract host and port from TCP address
-        const tcpHostPort = tcpAddress.replace('tcp://', '');
-        const remoteTcpHost = tcpHostPort.split(':')[0];
-        const remoteTcpPort = tcpHostPort.split(':')[1];
+        rollback.add(`${provider.name} reservation`, () => provider.release(endpoint, "tcp"));
+        registry.saveDeployment(projectName, { tunnel: { provider: provider.name, type: "tcp", endpoint } });
+        throwIfCancelled(signal);
 
         // Step 2: Generate a port
         sendProgress(sessionId, 20, "Generating container port...");
         const containerPort = await getAvailablePort();
+        throwIfCancelled(signal);
 
         // Generate admin credentials
         sendProgress(sessionId, 30, "Generating secure credentials...");
         const adminUser = "admin";
         const adminPassword = crypto.randomBytes(16).toString("hex");
+        const readiness = readinessProbe(req.body.readiness, mongoPing(containerPort));
 
         // Step 3: Create MongoDB container
+        setJobState(req.job, "starting");
         sendProgress(sessionId, 40, "Setting up MongoDB container...");
 
-        await ensureImageExists("mongo:6.0");
+        await ensureImageExists("mongo:6.0", { onEvent: pullLogger(sessionId, "mongo:6.0"), signal });
+        throwIfCancelled(signal);
 
         // Create MongoDB container
+        rollback.add("mongodb container", () => cleanupContainer(mongoContainerName));
         const mongoContainer = await docker.createContainer({
             Image: "mongo:6.0",
             name: mongoContainerName,
             Cmd: ["--port", `${containerPort}`, "--bind_ip", "0.0.0.0", "--auth"],
             ExposedPorts: { [`${containerPort}/tcp`]: {} },
             HostConfig: {
-                PortBindings: { [`${containerPort}/tcp`]: [{ HostPort: containerPort.toString() }] },
-                NetworkMode: "bridge"
+                PortBindings: { [`${containerPort}/tcp`]: [{ HostIp: provider.hostIp, HostPort: containerPort.toString() }] },
+                NetworkMode: "bridge",
+                RestartPolicy: restartPolicyConfig(restartPolicy),
+                ...hostConfigLimits(limits)
             },
             Env: [
                 `MONGO_INITDB_ROOT_USERNAME=${adminUser}`,
-                `MONGO_INITDB_ROOT_PASSWORD=${adminPassword}`
-            ]
+                `MONGO_INITDB_ROOT_PASSWORD=${adminPassword}`,
+                `MONGO_PORT=${containerPort}`
+            ],
+            Healthcheck: mongoHealthcheck(readiness)
         });
 
         await mongoContainer.start();
 
-        // Wait for MongoDB to start
-        sendProgress(sessionId, 50, "Waiting for MongoDB to initialize...");
-        await new Promise(resolve => setTimeout(resolve, 5000));
-
-        // Step 4: Create Ngrok container connected to MongoDB
-        sendProgress(sessionId, 60, "Setting up Ngrok TCP tunnel...");
-
-        await ensureImageExists("ngrok/ngrok");
-
-        const ngrokContainer = await docker.createContainer({
-            Image: "ngrok/ngrok",
-            name: ngrokContainerName,
-            Cmd: [
-                "tcp",
-                `host.docker.internal:${containerPort}`,
-                "--region=us",
-                `--remote-addr=${tcpHostPort}`
-            ],
-            ExposedPorts: { "4040/tcp": {} },
-            HostConfig: {
-                PortBindings: { "4040/tcp": [{ HostPort: "4040" }] },
-                NetworkMode: "bridge",
-                ExtraHosts: ["host.docker.internal:host-gateway"]
-            },
-            Env: [
-                `NGROK_AUTHTOKEN=${NGROK_AUTHTOKEN}`
-            ]
+        // The image's init scripts restart mongod once the root user exists, so wait for it to answer
+        sendProgress(sessionId, 50, `Waiting for MongoDB to initialize (${describeProbe(readiness)})...`);
+        await waitForReady(mongoContainer.id, readiness, { port: containerPort, signal });
+        throwIfCancelled(signal);
+
+        // Step 4: Publish MongoDB through the tunnel
+        sendProgress(sessionId, 60, `Setting up ${provider.name} TCP tunnel...`);
+        rollback.add("tunnel", () => provider.stop(sidecarName(projectName)));
+        const tunnel = await provider.start({
+            name: sidecarName(projectName),
+            type: "tcp",
+            endpoint,
+            access: registry.getDeployment(projectName).access,
+            hostPort: containerPort,
+            restartPolicy,
+            sessionId,
+            signal
         });
 
-        await ngrokContainer.start();
+        sendProgress(sessionId, 80, `Establishing ${provider.name} tunnel...`);
+        if (!(await provider.waitUntilOnline(tunnel, endpoint))) {
+            const error = new Error(`The ${provider.name} tunnel did not come online`);
+            if (tunnel.id) error.containerId = tunnel.id;
+            throw error;
+        }
 
-        // Wait for ngrok to establish connection
-        sendProgress(sessionId, 80, "Establishing ngrok tunnel...");
-        await new Promise(resolve => setTimeout(resolve, 5000));
+        const tcpHostPort = tunnel.url.replace("tcp://", "");
+        const connectionString = `mongodb://${adminUser}:${adminPassword}@${tcpHostPort}/?authSource=admin`;
+        registry.setStatus(projectName, "running", {
+            containerId: mongoContainer.id,
+            image: "mongo:6.0",
+            url: tunnel.url,
+            exposedPort: containerPort,
+            readiness,
+            credentials: sealCredentials({ username: adminUser, password: adminPassword, connectionString }),
+            deployedAt: new Date().toISOString()
+        });
 
         // Send success response
         sendProgress(sessionId, 100, "MongoDB deployment complete!");
 
-        return res.status(200).json({
+        const result = {
             message: "MongoDB successfully deployed",
-            mongodbUrl: tcpAddress,
+            mongodbUrl: tunnel.url,
             username: adminUser,
             password: adminPassword,
-            connectionString: `mongodb://${adminUser}:${adminPassword}@${tcpHostPort}/?authSource=admin`,
+            connectionString,
             port: containerPort.toString()
-        });
+        };
+        sendResult(sessionId, result);
+        return res.status(200).json(result);
 
     } catch (error) {
-        // Clean up containers if something went wrong
-        await cleanupContainer(ngrokContainerName, null, null);
-        await cleanupContainer(mongoContainerName, sessionId, null);
+        if (registry.isDeploying(projectName)) {
+            const status = error.cancelled ? "cancelled" : error.oomKilled ? "oom-killed" : "failed";
+            registry.setStatus(projectName, status, { error: error.message });
+        }
+
+        // Release everything created so far, newest first, once the failed container has been read
+        await attachDiagnostics(error);
+        sendProgress(sessionId, 0, "Rolling back partial deployment...");
+        const leftovers = await rollback.run();
+        sendError(sessionId, error.message, { cancelled: Boolean(error.cancelled), leftovers, diagnostics: error.diagnostics });
 
-        return res.status(500).json({
-            error: `Failed to deploy MongoDB: ${error.message}`
+        return res.status(error.cancelled ? 409 : 500).json({
+            error: error.cancelled ? "Deployment cancelled" : `Failed to deploy MongoDB: ${error.message}`,
+            diagnostics: error.diagnostics,
+            leftovers
         });
     }
 }
 
-module.exports = { deployMongoDB };
\ No newline at end of file
+// Encrypts credentials that records from before sealCredentials kept in plain text
+function sealStoredCredentials() {
+    for (const record of registry.listDeployments()) {
+        if (!record.credentials || record.credentials.encrypted) continue;
+        registry.saveDeployment(record.projectName, { credentials: sealCredentials(record.credentials) });
+    }
+}
+
+module.exports = { deployMongoDB, sealStoredCredentials };
\ No newline at end of file
@@ -1,63 +1,164 @@
 const axios = require('axios');
-const { NGROK_APITOKEN, NGROK_AUTHTOKEN } = require('../config');
-
-async function createNgrokReservedAddress(description = 'Deployify Service') {
-    const response = await axios.post(
-        'https://api.ngrok.com/reserved_addrs',
-        { description, region: 'us' },
-        {
-            headers: {
-                'Authorization': `Bearer ${NGROK_APITOKEN}`,
-                'Content-Type': 'application/json',
-                'Ngrok-Version': '2'
-            }
-        }
-    );
-    return response.data.addr;
+const { NGROK_APITOKEN, NGROK_API_URL, NGROK_REGION } = require('../config');
+const { decrypt } = require('./secretService');
+
+const apiHeaders = () => ({
+    'Authorization': `Bearer ${NGROK_APITOKEN}`,
+    'Content-Type': 'application/json',
+    'Ngrok-Version': '2'
+});
+
+// ngrok answers errors with { error_code, status_code, msg }, which is what callers should see
+function apiError(error, action) {
+    const body = error.response && error.response.data;
+    const wrapped = new Error(body && body.msg
+        ? `ngrok API could not ${action}: ${body.msg.trim()}${body.error_code ? ` (${body.error_code})` : ''}`
+        : `ngrok API could not ${action}: ${error.message}`);
+    wrapped.status = 502;
+    wrapped.ngrokStatus = error.response ? error.response.status : null;
+    wrapped.ngrokCode = body && body.error_code ? body.error_code : null;
+    return wrapped;
+}
+
+async function apiRequest(method, uri, action, data) {
+    try {
+        const response = await axios({
+            method,
+            url: uri.startsWith('http') ? uri : `${NGROK_API_URL}${uri}`,
+            data,
+            headers: apiHeaders()
+        });
+        return response.data;
+    } catch (error) {
+        throw apiError(error, action);
+    }
+}
+
+// ngrok reports an already reserved domain as a plain bad request
+const CONFLICT_STATUSES = [400, 409, 422];
+
+async function listAll(collection) {
+    const items = [];
+    let uri = `/${collection}`;
+    while (uri) {
+        const page = await apiRequest('get', uri, `list ${collection.replace('_', ' ')}`);
+        items.push(...page[collection]);
+        uri = page.next_page_uri;
+    }
+    return items;
+}
+
+async function findReservation(collection, match) {
+    return (await listAll(collection)).find(match) || null;
+}
+
+// Domains are unique per name, so a conflict usually means an earlier deploy of the same
+// project reserved it and never released it. Custom domains come back with a cname_target.
+async function reserveNgrokDomain(domain) {
+    try {
+        return await apiRequest('post', '/reserved_domains', `reserve ${domain}`, { domain, region: NGROK_REGION });
+    } catch (error) {
+        if (!CONFLICT_STATUSES.includes(error.ngrokStatus)) throw error;
+        const existing = await findReservation('reserved_domains', item => item.domain === domain).catch(() => null);
+        if (!existing) throw error;
+        return existing;
+    }
 }
 
 async function createNgrokReservedDomain(subdomain) {
-    const domain = `${subdomain}.ngrok.app`;
-    const response = await axios.post(
-        'https://api.ngrok.com/reserved_domains',
-        { domain, region: 'us' },
-        {
-            headers: {
-                'Authorization': `Bearer ${NGROK_APITOKEN}`,
-                'Content-Type': 'application/json',
-                'Ngrok-Version': '2'
-            }
+    return (await reserveNgrokDomain(`${subdomain}.ngrok.app`)).domain;
+}
+
+// Addresses are assigned by ngrok, the description is what ties one to a project
+async function createNgrokReservedAddress(description) {
+    const existing = await findReservation('reserved_addrs', item => item.description === description);
+    if (existing) return existing.addr;
+    const reservation = await apiRequest('post', '/reserved_addrs', `reserve a TCP address for ${description}`, {
+        description,
+        region: NGROK_REGION
+    });
+    return reservation.addr;
+}
+
+async function deleteNgrokReservedDomain(domain) {
+    const reservation = await findReservation('reserved_domains', item => item.domain === domain);
+    if (!reservation) return false;
+    await apiRequest('delete', `/reserved_domains/${reservation.id}`, `release ${domain}`);
+    return true;
+}
+
+async function deleteNgrokReservedAddress(addr) {
+    const bare = addr.replace('tcp://', '');
+    const reservation = await findReservation('reserved_addrs', item => item.addr === bare);
+    if (!reservation) return false;
+    await apiRequest('delete', `/reserved_addrs/${reservation.id}`, `release ${bare}`);
+    return true;
+}
+
+async function listNgrokReservations() {
+    const [domains, addresses] = await Promise.all([listAll('reserved_domains'), listAll('reserved_addrs')]);
+    return { domains, addresses };
+}
+
+async function deleteNgrokReservation(id) {
+    const collection = id.startsWith('ra_') ? 'reserved_addrs' : 'reserved_domains';
+    await apiRequest('delete', `/${collection}/${id}`, `release ${id}`);
+}
+
+// Renders a deployment's access rules as an endpoint traffic policy. Rules run in order, so
+// IP restrictions turn clients away before they are asked to log in.
+function generateTrafficPolicy(access, type = 'http') {
+    if (!access) return null;
+    const rules = [];
+    if (access.allow.length || access.deny.length) {
+        const config = {};
+        if (access.allow.length) config.allow = access.allow;
+        if (access.deny.length) config.deny = access.deny;
+        rules.push({ actions: [{ type: 'restrict-ips', config }] });
+    }
+    if (type === 'tcp') return rules.length ? { on_tcp_connect: rules } : null;
+
+    if (access.basicAuth.length) {
+        const credentials = access.basicAuth.map(({ username, password }) => `${username}:${decrypt(password)}`);
+        rules.push({ actions: [{ type: 'basic-auth', config: { realm: 'Deployify', credentials } }] });
+    }
+    if (access.oauth) {
+        const { provider, emailDomains, emails } = access.oauth;
+        rules.push({ actions: [{ type: 'oauth', config: { provider } }] });
+        const checks = [
+            ...emailDomains.map(domain => `actions.ngrok.oauth.identity.email.endsWith('@${domain}')`),
+            ...emails.map(email => `actions.ngrok.oauth.identity.email == '${email}'`)
+        ];
+        if (checks.length) {
+            rules.push({ expressions: [`!(${checks.join(' || ')})`], actions: [{ type: 'deny', config: { status_code: 403 } }] });
         }
-    );
-    return response.data.domain;
-}
-
-function generateNgrokConfig(authToken, config) {
-    const { name, type, url, port } = config;
-
-    let configContent = `version: 3
-agent:
-  authtoken: ${authToken}
-endpoints:
-  - name: ${name}
-`;
-
-    if (type === 'http') {
-        configContent += `    url: ${url}
-    upstream:
-      url: ${port}`;
-    } else if (type === 'tcp') {
-        configContent += `    url: ${url}
-    upstream:
-      url: ${port}
-      protocol: tcp`;
     }
+    return rules.length ? { on_http_request: rules } : null;
+}
 
-    return configContent;
+// Agent config for the ngrok/ngrok image, one endpoint per public hostname. The authtoken is
+// not part of it, the agent reads NGROK_AUTHTOKEN from the sidecar's environment.
+function generateNgrokConfig(endpoints) {
+    // Sidecars share the host's network, so none of them opens the agent's local web interface
+    const lines = ['version: 3', 'agent:', '  web_addr: false', 'endpoints:'];
+    for (const { name, url, upstream, pooling, trafficPolicy } of endpoints) {
+        lines.push(`  - name: ${name}`, `    url: ${url}`, '    upstream:', `      url: ${upstream}`);
+        // Pooling lets a replacement container join the endpoint before the old one leaves
+        if (pooling) lines.push('    pooling_enabled: true');
+        // JSON is valid YAML, which spares quoting credentials by hand
+        if (trafficPolicy) lines.push(`    traffic_policy: ${JSON.stringify(trafficPolicy)}`);
+    }
+    return `${lines.join('\n')}\n`;
 }
 
 module.exports = {
     createNgrokReservedAddress,
     createNgrokReservedDomain,
+    deleteNgrokReservedAddress,
+    deleteNgrokReservedDomain,
+    listNgrokReservations,
+    deleteNgrokReservation,
+    reserveNgrokDomain,
+    generateTrafficPolicy,
     generateNgrokConfig
-};
\ No newline at end of file
+};
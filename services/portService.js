@@ -0,0 +1,268 @@
+const fs = require("fs");
+const path = require("path");
+const { listProjectFiles, resolveInside } = require("./sourceService");
+
+const DEFAULT_PORT = 3000;
+
+// Larger files are not read while looking for ports
+const MAX_SCANNED_FILE_SIZE = 1024 * 1024;
+
+// These start commands are handed the internal port, so any port the resolver picks is honoured
+const PORT_INJECTED = {
+    nextjs: "next start reads PORT",
+    reactjs: "serve is started with -l on the internal port",
+    vuejs: "serve is started with -l on the internal port",
+    angularjs: "serve is started with -l on the internal port",
+    html: "http-server is started with -p on the internal port",
+    php: "the PHP built-in server is started on the internal port",
+    python: "manage.py runserver is started on the internal port"
+};
+
+const CODE_EXTENSIONS = {
+    nodejs: [".js", ".mjs", ".cjs", ".ts"],
+    golang: [".go"],
+    python: [".py"]
+};
+
+// Directories whose ports describe something other than the app itself
+const SKIPPED_PATHS = /(^|\/)(node_modules|vendor|\.git|tests?|__tests__|spec|docs?|examples?|dist|build|migrations)(\/|$)/;
+
+const ENV_PATTERNS = {
+    nodejs: /process\.env\.PORT\b|process\.env\[["']PORT["']\]/,
+    golang: /os\.Getenv\(\s*"PORT"\s*\)/,
+    python: /os\.(?:environ\.get|getenv)\(\s*["']PORT["']|os\.environ\[["']PORT["']\]/
+};
+
+const LITERAL_PATTERNS = {
+    nodejs: [
+        /process\.env\.PORT\s*(?:\|\||\?\?)\s*["']?(\d{2,5})\b/,
+        /\.listen\(\s*(\d{2,5})\b/,
+        /\.listen\(\s*\{[^}]*\bport\s*:\s*(\d{2,5})\b/,
+        /\b(?:const|let|var)\s+PORT\s*=\s*(\d{2,5})\b/i
+    ],
+    golang: [
+        /(?:ListenAndServe(?:TLS)?|\.Run|\.Listen|\.Start)\(\s*"[\w.]*:(\d{2,5})"/,
+        /\bport\s*:?=\s*"?:?(\d{2,5})"?/i
+    ],
+    python: [
+        /os\.(?:environ\.get|getenv)\(\s*["']PORT["']\s*,\s*["']?(\d{2,5})/,
+        /\.run\([^)]*\bport\s*=\s*(\d{2,5})\b/,
+        /uvicorn\.run\([^)]*\bport\s*=\s*(\d{2,5})\b/
+    ]
+};
+
+const COMMAND_PORT_PATTERNS = [
+    /(?:--port[= ]|-p\s+|-l\s+|\bPORT=)(\d{2,5})\b/,
+    /(?:0\.0\.0\.0|localhost|127\.0\.0\.1|\[::\])?:(\d{2,5})\b/
+];
+
+function validPort(value) {
+    const port = parseInt(value, 10);
+    return port > 0 && port < 65536 ? port : null;
+}
+
+function readSource(projectPath, file) {
+    const fullPath = resolveInside(projectPath, file);
+    if (!fullPath || !fs.existsSync(fullPath)) return null;
+    const stat = fs.statSync(fullPath);
+    if (!stat.isFile() || stat.size > MAX_SCANNED_FILE_SIZE) return null;
+    return fs.readFileSync(fullPath, "utf8");
+}
+
+function portInCommand(command) {
+    for (const pattern of COMMAND_PORT_PATTERNS) {
+        const match = command.match(pattern);
+        if (match && validPort(match[1])) return validPort(match[1]);
+    }
+    return null;
+}
+
+function scriptTarget(command) {
+    const match = command.match(/^(?:node|nodemon|ts-node|python3?|go run)\s+(?:-\S+\s+)*([^\s-]\S*)/);
+    return match ? match[1] : null;
+}
+
+// The files the start command actually runs, most specific first
+function entryPoints(projectPath, { language, runCommand, startCommand }) {
+    const entries = [];
+    let pkg = null;
+    try {
+        pkg = JSON.parse(readSource(projectPath, "package.json") || "null");
+    } catch (error) {
+        // An unparseable package.json simply contributes no entry points
+    }
+    const scripts = (pkg && pkg.scripts) || {};
+
+    for (const command of [runCommand, startCommand]) {
+        if (!command) continue;
+        if (/^(?:npm|yarn)(?:\s+run)?\s+start\b/.test(command) && scripts.start) {
+            entries.push({ file: scriptTarget(scripts.start), via: "package.json start script" });
+        }
+        entries.push({ file: scriptTarget(command), via: command === runCommand ? "runCommand" : "start command" });
+    }
+
+    if (language === "nodejs") {
+        if (pkg && pkg.main) entries.push({ file: pkg.main, via: "package.json main" });
+        for (const file of ["server.js", "index.js", "app.js", "main.js", "src/index.js", "src/server.js"]) {
+            entries.push({ file, via: "conventional entry point" });
+        }
+    } else if (language === "golang") {
+        entries.push({ file: "main.go", via: "conventional entry point" });
+        entries.push({ file: "cmd/server/main.go", via: "conventional entry point" });
+    } else if (language === "python") {
+        for (const file of ["app.py", "main.py", "server.py", "wsgi.py"]) {
+            entries.push({ file, via: "conventional entry point" });
+        }
+    }
+
+    const seen = new Set();
+    return entries
+        .filter(entry => entry.file)
+        .map(entry => ({ ...entry, file: path.posix.normalize(entry.file) }))
+        .filter(({ file }) => {
+            if (seen.has(file)) return false;
+            seen.add(file);
+            return readSource(projectPath, file) !== null;
+        });
+}
+
+function analyzeSource(content, language) {
+    const literals = [];
+    for (const pattern of LITERAL_PATTERNS[language] || []) {
+        const match = content.match(pattern);
+        if (match && validPort(match[1])) literals.push(validPort(match[1]));
+    }
+    return {
+        readsEnv: ENV_PATTERNS[language] ? ENV_PATTERNS[language].test(content) : false,
+        ports: [...new Set(literals)]
+    };
+}
+
+function fromEntryPoint(projectPath, language, entry) {
+    const { readsEnv, ports } = analyzeSource(readSource(projectPath, entry.file), language);
+    if (!readsEnv && !ports.length) return null;
+
+    const result = {
+        port: ports[0] || DEFAULT_PORT,
+        confidence: "high",
+        source: "entrypoint",
+        evidence: [`${entry.file} is the entry point (${entry.via})`],
+        warnings: []
+    };
+
+    if (readsEnv) {
+        result.evidence.push(`${entry.file} reads PORT from the environment`);
+        if (ports.length) result.evidence.push(`${entry.file} falls back to ${ports[0]}`);
+        return result;
+    }
+
+    result.evidence.push(`${entry.file} listens on ${ports[0]}`);
+    if (ports.length > 1) {
+        result.confidence = "medium";
+        result.warnings.push(`${entry.file} mentions several ports (${ports.join(", ")}), using ${ports[0]}`);
+    }
+    return result;
+}
+
+// Last resort: every code file of the language, ignoring tests, docs and dependencies
+function fromProjectScan(projectPath, language) {
+    const extensions = CODE_EXTENSIONS[language];
+    if (!extensions) return null;
+
+    const found = new Map();
+    let readsEnv = null;
+    for (const file of listProjectFiles(projectPath)) {
+        if (SKIPPED_PATHS.test(file) || !extensions.includes(path.extname(file))) continue;
+        const content = readSource(projectPath, file);
+        if (content === null) continue;
+
+        const analysis = analyzeSource(content, language);
+        if (analysis.readsEnv && !readsEnv) readsEnv = file;
+        for (const port of analysis.ports) {
+            if (!found.has(port)) found.set(port, []);
+            found.get(port).push(file);
+        }
+    }
+
+    if (readsEnv) {
+        return {
+            port: found.size ? [...found.keys()][0] : DEFAULT_PORT,
+            confidence: "medium",
+            source: "scan",
+            evidence: [`${readsEnv} reads PORT from the environment`],
+            warnings: []
+        };
+    }
+    if (!found.size) return null;
+
+    const [port, files] = [...found.entries()].sort((a, b) => b[1].length - a[1].length)[0];
+    const result = {
+        port,
+        confidence: found.size === 1 ? "medium" : "low",
+        source: "scan",
+        evidence: [`${files.join(", ")} listen${files.length === 1 ? "s" : ""} on ${port}`],
+        warnings: []
+    };
+    if (found.size > 1) {
+        const others = [...found.entries()].filter(([candidate]) => candidate !== port)
+            .map(([candidate, where]) => `${candidate} in ${where.join(", ")}`);
+        result.warnings.push(`Found several candidate ports, using ${port}. Also seen: ${others.join("; ")}. Pass port to choose explicitly.`);
+    }
+    return result;
+}
+
+// Without a custom command these frameworks are launched on whatever port is chosen
+function startsOnAssignedPort(language, runCommand, startCommand) {
+    if (runCommand || !PORT_INJECTED[language]) return false;
+    return language !== "python" || !startCommand || startCommand.includes("$PORT");
+}
+
+function resolvePort(projectPath, { language, port, runCommand, startCommand }) {
+    if (port !== undefined && port !== null && port !== "") {
+        return {
+            port: validPort(port),
+            confidence: "explicit",
+            source: "request",
+            evidence: ["port was set on the request"],
+            warnings: []
+        };
+    }
+
+    if (runCommand && portInCommand(runCommand)) {
+        return {
+            port: portInCommand(runCommand),
+            confidence: "high",
+            source: "runCommand",
+            evidence: [`runCommand '${runCommand}' sets the port`],
+            warnings: []
+        };
+    }
+
+    if (startsOnAssignedPort(language, runCommand, startCommand)) {
+        return {
+            port: DEFAULT_PORT,
+            confidence: "high",
+            source: "convention",
+            evidence: [startCommand && startCommand.includes("$PORT") ? `'${startCommand}' binds to $PORT` : PORT_INJECTED[language]],
+            warnings: []
+        };
+    }
+
+    for (const entry of entryPoints(projectPath, { language, runCommand, startCommand })) {
+        const result = fromEntryPoint(projectPath, language, entry);
+        if (result) return result;
+    }
+
+    const scanned = fromProjectScan(projectPath, language);
+    if (scanned) return scanned;
+
+    return {
+        port: DEFAULT_PORT,
+        confidence: "low",
+        source: "default",
+        evidence: [],
+        warnings: [`Could not tell which port the app listens on, assuming ${DEFAULT_PORT}. Pass port to set it explicitly.`]
+    };
+}
+
+module.exports = { resolvePort, validPort };
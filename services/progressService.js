@@ -1,22 +1,93 @@
 const WebSocket = require("ws");
+const { PROGRESS_BUFFER_SIZE, PROGRESS_SESSION_TTL } = require("../config");
 
-let activeConnections = new Map();
+// sessionId -> { seq, events, subscribers, lastActivity }
+const sessions = new Map();
 let wss;
 
+function getSession(sessionId) {
+    let session = sessions.get(sessionId);
+    if (!session) {
+        session = { seq: 0, events: [], subscribers: new Set(), lastActivity: Date.now() };
+        sessions.set(sessionId, session);
+    }
+    return session;
+}
+
+// Clients connect to ws://host/<sessionId> or ws://host/?sessionId=<id>, optionally with
+// lastSeq=<n> to only replay the events they have not seen yet
+function parseConnection(req) {
+    const url = new URL(req.url, "http://localhost");
+    const segments = url.pathname.split("/").filter(Boolean);
+    const sessionId = url.searchParams.get("sessionId") || segments[segments.length - 1] || null;
+    const lastSeq = parseInt(url.searchParams.get("lastSeq"), 10);
+    return { sessionId, lastSeq: Number.isNaN(lastSeq) ? 0 : lastSeq };
+}
+
+function pruneSessions() {
+    const cutoff = Date.now() - PROGRESS_SESSION_TTL;
+    for (const [sessionId, session] of sessions) {
+        if (session.subscribers.size === 0 && session.lastActivity < cutoff) {
+            sessions.delete(sessionId);
+        }
+    }
+}
+
 function init(server) {
     wss = new WebSocket.Server({ server });
 
     wss.on("connection", (ws, req) => {
-        const sessionId = req.url.split("/").pop();
-        activeConnections.set(sessionId, ws);
+        const { sessionId, lastSeq } = parseConnection(req);
+        if (!sessionId) {
+            ws.close(1008, "Missing sessionId");
+            return;
+        }
+
+        const session = getSession(sessionId);
+        session.subscribers.add(ws);
+        session.lastActivity = Date.now();
+
+        for (const event of session.events) {
+            if (event.seq > lastSeq) ws.send(JSON.stringify({ ...event, replay: true }));
+        }
 
         ws.on("close", () => {
-            activeConnections.delete(sessionId);
+            session.subscribers.delete(ws);
+            session.lastActivity = Date.now();
         });
     });
+
+    setInterval(pruneSessions, 60 * 1000).unref();
+}
+
+function publish(sessionId, type, payload) {
+    if (!sessionId) return null;
+
+    const session = getSession(sessionId);
+    const event = {
+        type,
+        seq: ++session.seq,
+        timestamp: new Date().toISOString(),
+        sessionId,
+        ...payload
+    };
+
+    session.events.push(event);
+    if (session.events.length > PROGRESS_BUFFER_SIZE) session.events.shift();
+    session.lastActivity = Date.now();
+
+    const data = JSON.stringify(event);
+    for (const ws of session.subscribers) {
+        if (ws.readyState === WebSocket.OPEN) ws.send(data);
+    }
+    return event;
 }
 
 function showProgress(percentage, message) {
+    if (!process.stdout.isTTY) {
+        console.log(`${percentage}% - ${message}`);
+        return;
+    }
     process.stdout.clearLine();
     process.stdout.cursorTo(0);
     const progressBar = '[' + '#'.repeat(Math.floor(percentage / 2)) + ' '.repeat(50 - Math.floor(percentage / 2)) + ']';
@@ -24,15 +95,45 @@ function showProgress(percentage, message) {
 }
 
 function sendProgress(sessionId, percentage, message) {
-    const ws = activeConnections.get(sessionId);
-    if (ws && ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify({ percentage, message }));
-    }
+    publish(sessionId, "stage", { percentage, message });
     showProgress(percentage, message);
 }
 
+function sendLog(sessionId, message, details = {}) {
+    publish(sessionId, "log", { ...details, message });
+}
+
+function sendWarning(sessionId, message, details = {}) {
+    publish(sessionId, "warning", { ...details, message });
+    console.warn(`WARNING: ${message}`);
+}
+
+function sendError(sessionId, message, details = {}) {
+    publish(sessionId, "error", { ...details, percentage: 0, message: `Error: ${message}` });
+    showProgress(0, `Error: ${message}`);
+}
+
+function sendResult(sessionId, result) {
+    publish(sessionId, "result", { result });
+}
+
+// Long-lived channel for things that happen to a deployment outside of any request,
+// subscribe with ws://host/?sessionId=deployment:<name>
+function deploymentChannel(projectName) {
+    return `deployment:${projectName}`;
+}
+
+function sendStatus(projectName, status, details = {}) {
+    publish(deploymentChannel(projectName), "status", { ...details, projectName, status });
+}
+
 module.exports = {
     init,
     sendProgress,
-    activeConnections
-};
\ No newline at end of file
+    sendLog,
+    sendWarning,
+    sendError,
+    sendResult,
+    deploymentChannel,
+    sendStatus
+};
@@ -0,0 +1,216 @@
+const http = require("http");
+const net = require("net");
+const crypto = require("crypto");
+const { PROXY_PORT, PROXY_BASE_DOMAIN, PROXY_TRUSTED_HOPS } = require("../config");
+const registry = require("./registryService");
+const { decrypt } = require("./secretService");
+
+// The previous container keeps serving while a redeploy or rollback is in progress, and a
+// crashed one may be brought back by its restart policy
+const ROUTED_STATUSES = ["running", "redeploying", "rolling-back", "crashed", "oom-killed", "crash-looping"];
+
+const HOST_LABEL = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/;
+
+// Hop-by-hop headers only describe the connection they arrived on
+const HOP_BY_HOP = ["connection", "keep-alive", "proxy-connection", "transfer-encoding", "te", "trailer", "upgrade"];
+
+function proxyHost(projectName) {
+    return `${projectName}.${PROXY_BASE_DOMAIN}`;
+}
+
+function proxyUrl(projectName) {
+    return `http://${proxyHost(projectName)}${PROXY_PORT === 80 ? "" : `:${PROXY_PORT}`}`;
+}
+
+function projectForHost(host) {
+    const hostname = (host || "").replace(/:\d+$/, "").replace(/\.$/, "").toLowerCase();
+    for (const suffix of [`.${PROXY_BASE_DOMAIN}`, ".localhost"]) {
+        if (!hostname.endsWith(suffix)) continue;
+        const label = hostname.slice(0, -suffix.length);
+        if (HOST_LABEL.test(label)) return label;
+    }
+
+    // Custom domains are routed once their DNS records have been verified
+    const owner = registry.listDeployments().find(record => (record.domains || [])
+        .some(entry => entry.verified && entry.domain === hostname));
+    return owner ? owner.projectName : null;
+}
+
+// Looked up per request, so deployments, swaps and deletions show up without a reload
+function routeFor(host) {
+    const projectName = projectForHost(host);
+    if (!projectName) {
+        return { status: 404, error: `No deployment is served at '${host || ""}'.` };
+    }
+    const record = registry.getDeployment(projectName);
+    if (!record || record.type === "mongodb") {
+        return { status: 404, error: `Deployment '${projectName}' not found.` };
+    }
+    if (!ROUTED_STATUSES.includes(record.status) || !record.exposedPort) {
+        return { status: 503, error: `Deployment '${projectName}' is not running (${record.status}).` };
+    }
+    return { projectName, port: record.exposedPort, access: record.access };
+}
+
+function clientAddress(req) {
+    const forwarded = (req.headers["x-forwarded-for"] || "").split(",").map(entry => entry.trim()).filter(Boolean);
+    const address = PROXY_TRUSTED_HOPS && forwarded.length >= PROXY_TRUSTED_HOPS
+        ? forwarded[forwarded.length - PROXY_TRUSTED_HOPS]
+        : req.socket.remoteAddress;
+    return (address || "").replace(/^::ffff:/, "");
+}
+
+function inRanges(address, ranges) {
+    const list = new net.BlockList();
+    for (const range of ranges) {
+        const [network, prefix] = range.split("/");
+        list.addSubnet(network, Number(prefix), net.isIPv6(network) ? "ipv6" : "ipv4");
+    }
+    return net.isIP(address) > 0 && list.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+// Hashing first gives timingSafeEqual inputs of the same length
+function sameSecret(given, expected) {
+    const digest = value => crypto.createHash("sha256").update(value).digest();
+    return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+// The same rules an ngrok tunnel renders into its traffic policy, minus the OAuth login that
+// only ngrok can run
+function checkAccess(access, req) {
+    if (!access) return null;
+
+    const address = clientAddress(req);
+    if ((access.deny.length && inRanges(address, access.deny)) || (access.allow.length && !inRanges(address, access.allow))) {
+        return { status: 403, error: `${address} is not allowed to reach this deployment.` };
+    }
+    if (access.oauth) {
+        return { status: 403, error: "This deployment requires an OAuth login, open it through its tunnel URL." };
+    }
+    if (access.basicAuth.length) {
+        const [scheme, encoded] = (req.headers.authorization || "").split(" ");
+        const credentials = scheme === "Basic" ? Buffer.from(encoded || "", "base64").toString("utf8") : "";
+        const separator = credentials.indexOf(":");
+        const user = separator > 0 && access.basicAuth.find(entry => entry.username === credentials.slice(0, separator));
+        if (!user || !sameSecret(credentials.slice(separator + 1), decrypt(user.password))) {
+            return { status: 401, error: "Authentication required.", headers: { "WWW-Authenticate": 'Basic realm="Deployify"' } };
+        }
+    }
+    return null;
+}
+
+function forwardedHeaders(req, route) {
+    const headers = { ...req.headers };
+    // Credentials checked by the proxy are not the app's to see
+    if (route.access && route.access.basicAuth.length) delete headers.authorization;
+    const remote = req.socket.remoteAddress;
+    headers["x-forwarded-for"] = headers["x-forwarded-for"] ? `${headers["x-forwarded-for"]}, ${remote}` : remote;
+    headers["x-forwarded-host"] = headers["x-forwarded-host"] || req.headers.host;
+    // An ingress in front of the proxy knows whether the client used https
+    headers["x-forwarded-proto"] = headers["x-forwarded-proto"] || "http";
+    return headers;
+}
+
+function sendError(res, status, error, headers = {}) {
+    res.writeHead(status, { ...headers, "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error }));
+}
+
+function forwardRequest(req, res) {
+    const route = routeFor(req.headers.host);
+    if (route.error) return sendError(res, route.status, route.error);
+    const denied = checkAccess(route.access, req);
+    if (denied) return sendError(res, denied.status, denied.error, denied.headers);
+
+    const headers = forwardedHeaders(req, route);
+    for (const name of HOP_BY_HOP) delete headers[name];
+
+    const upstream = http.request({
+        host: "127.0.0.1",
+        port: route.port,
+        method: req.method,
+        path: req.url,
+        headers
+    }, upstreamRes => {
+        const responseHeaders = { ...upstreamRes.headers };
+        for (const name of HOP_BY_HOP) delete responseHeaders[name];
+        res.writeHead(upstreamRes.statusCode, upstreamRes.statusMessage, responseHeaders);
+        upstreamRes.pipe(res);
+    });
+
+    upstream.on("error", error => {
+        if (res.headersSent) return res.destroy();
+        return sendError(res, 502, `Deployment '${route.projectName}' did not answer: ${error.message}`);
+    });
+    req.on("aborted", () => upstream.destroy());
+    req.pipe(upstream);
+}
+
+function rejectUpgrade(socket, status, error, headers = {}) {
+    const body = JSON.stringify({ error });
+    socket.end(
+        `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+        Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join("") +
+        "Content-Type: application/json\r\n" +
+        `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+        "Connection: close\r\n\r\n" +
+        body
+    );
+}
+
+// WebSocket and other upgrades are relayed as raw bytes once the handshake is forwarded
+function forwardUpgrade(req, socket, head) {
+    const route = routeFor(req.headers.host);
+    if (route.error) return rejectUpgrade(socket, route.status, route.error);
+    const denied = checkAccess(route.access, req);
+    if (denied) return rejectUpgrade(socket, denied.status, denied.error, denied.headers);
+
+    const headers = forwardedHeaders(req, route);
+    let connected = false;
+    const upstream = net.connect(route.port, "127.0.0.1", () => {
+        connected = true;
+        const lines = [`${req.method} ${req.url} HTTP/1.1`];
+        for (const [name, value] of Object.entries(headers)) {
+            for (const item of Array.isArray(value) ? value : [value]) lines.push(`${name}: ${item}`);
+        }
+        upstream.write(`${lines.join("\r\n")}\r\n\r\n`);
+        if (head && head.length) upstream.write(head);
+        socket.pipe(upstream).pipe(socket);
+    });
+
+    upstream.on("error", error => {
+        if (connected) return socket.destroy();
+        return rejectUpgrade(socket, 502, `Deployment '${route.projectName}' did not answer: ${error.message}`);
+    });
+    socket.on("error", () => upstream.destroy());
+}
+
+function createProxyServer() {
+    const server = http.createServer(forwardRequest);
+    server.on("upgrade", forwardUpgrade);
+    server.on("clientError", (error, socket) => {
+        if (socket.writable) socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+    });
+    return server;
+}
+
+async function listRoutes(req, res) {
+    if (!PROXY_PORT) {
+        return res.status(404).json({ error: "The reverse proxy is turned off." });
+    }
+    const routes = registry.listDeployments()
+        .filter(record => record.type !== "mongodb")
+        .map(record => ({
+            host: proxyHost(record.projectName),
+            url: proxyUrl(record.projectName),
+            projectName: record.projectName,
+            domains: (record.domains || []).filter(entry => entry.verified).map(entry => entry.domain),
+            upstreamPort: record.exposedPort || null,
+            protected: Boolean(record.access),
+            status: record.status,
+            routed: ROUTED_STATUSES.includes(record.status) && Boolean(record.exposedPort)
+        }));
+    return res.status(200).json({ baseDomain: PROXY_BASE_DOMAIN, port: PROXY_PORT, routes });
+}
+
+module.exports = { createProxyServer, listRoutes, proxyHost, proxyUrl };
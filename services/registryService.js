@@ -0,0 +1,118 @@
+const fs = require("fs");
+const path = require("path");
+const { REGISTRY_PATH, BUILD_LOGS_DIR } = require("../config");
+
+let deployments = null;
+
+function load() {
+    if (deployments) return deployments;
+
+    try {
+        deployments = JSON.parse(fs.readFileSync(REGISTRY_PATH, "utf8")).deployments || {};
+    } catch (err) {
+        if (err.code !== "ENOENT") {
+            console.warn(`WARNING: Could not read deployment registry at ${REGISTRY_PATH}: ${err.message}`);
+        }
+        deployments = {};
+    }
+    return deployments;
+}
+
+// Write to a temporary file first so a crash mid-write never leaves a truncated registry
+function persist() {
+    fs.mkdirSync(path.dirname(REGISTRY_PATH), { recursive: true });
+    const tmpPath = `${REGISTRY_PATH}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ deployments }, null, 2));
+    fs.renameSync(tmpPath, REGISTRY_PATH);
+}
+
+function getDeployment(projectName) {
+    return load()[projectName] || null;
+}
+
+function listDeployments() {
+    return Object.values(load());
+}
+
+function saveDeployment(projectName, fields) {
+    const now = new Date().toISOString();
+    const existing = load()[projectName];
+
+    deployments[projectName] = {
+        ...existing,
+        ...fields,
+        projectName,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+    };
+    persist();
+    return deployments[projectName];
+}
+
+function setStatus(projectName, status, fields = {}) {
+    if (!getDeployment(projectName)) return null;
+    return saveDeployment(projectName, { ...fields, status, statusChangedAt: new Date().toISOString() });
+}
+
+function isDeploying(projectName) {
+    const deployment = getDeployment(projectName);
+    return Boolean(deployment && deployment.status === "deploying");
+}
+
+function nextReleaseNumber(projectName) {
+    const deployment = getDeployment(projectName);
+    const releases = (deployment && deployment.releases) || [];
+    return releases.reduce((max, release) => Math.max(max, release.release), 0) + 1;
+}
+
+function addRelease(projectName, release) {
+    const deployment = getDeployment(projectName);
+    const releases = [...((deployment && deployment.releases) || []), release];
+    return saveDeployment(projectName, { releases, currentRelease: release.release });
+}
+
+function getRelease(projectName, releaseNumber) {
+    const deployment = getDeployment(projectName);
+    const releases = (deployment && deployment.releases) || [];
+    return releases.find(release => release.release === releaseNumber) || null;
+}
+
+function buildLogPath(projectName, releaseNumber) {
+    return path.join(BUILD_LOGS_DIR, projectName, `${releaseNumber}.log`);
+}
+
+function saveBuildLog(projectName, releaseNumber, log) {
+    fs.mkdirSync(path.join(BUILD_LOGS_DIR, projectName), { recursive: true });
+    fs.writeFileSync(buildLogPath(projectName, releaseNumber), log);
+}
+
+function readBuildLog(projectName, releaseNumber) {
+    try {
+        return fs.readFileSync(buildLogPath(projectName, releaseNumber), "utf8");
+    } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+    }
+}
+
+function removeDeployment(projectName) {
+    fs.rmSync(path.join(BUILD_LOGS_DIR, projectName), { recursive: true, force: true });
+    if (!load()[projectName]) return false;
+    delete deployments[projectName];
+    persist();
+    return true;
+}
+
+module.exports = {
+    getDeployment,
+    listDeployments,
+    saveDeployment,
+    setStatus,
+    isDeploying,
+    nextReleaseNumber,
+    addRelease,
+    getRelease,
+    saveBuildLog,
+    readBuildLog,
+    removeDeployment
+};
@@ -0,0 +1,88 @@
+const { NGROK_APITOKEN, NGROK_REGION } = require("../config");
+const { listNgrokReservations, deleteNgrokReservation } = require("./ngrokService");
+const { tunnelFor } = require("./tunnelService");
+const registry = require("./registryService");
+
+// Reservations Deployify made, including those from before descriptions named the project
+const MANAGED_DOMAIN = /^deployify-[a-z0-9-]+\.ngrok\.app$/;
+const MANAGED_DESCRIPTION = /^(?:deployify-|MongoDB-|Deployify Service$)/;
+
+const bare = endpoint => endpoint.replace(/^tcp:\/\//, "");
+
+// endpoint -> projectName for every deployment that publishes through ngrok
+function endpointsInUse() {
+    const inUse = new Map();
+    for (const record of registry.listDeployments()) {
+        const tunnel = tunnelFor(record, record.projectName);
+        if (tunnel.provider !== "ngrok") continue;
+        if (tunnel.endpoint) inUse.set(bare(tunnel.endpoint), record.projectName);
+        // Custom domains are reserved when attached, before DNS is verified
+        for (const { domain } of record.domains || []) inUse.set(domain, record.projectName);
+    }
+    return inUse;
+}
+
+function describeReservations({ domains, addresses }) {
+    const inUse = endpointsInUse();
+    const describe = (kind, item, endpoint, managed) => {
+        const projectName = inUse.get(endpoint) || null;
+        return {
+            id: item.id,
+            kind,
+            endpoint,
+            description: item.description || null,
+            region: item.region || null,
+            createdAt: item.created_at || null,
+            managed,
+            projectName,
+            orphan: managed && !projectName
+        };
+    };
+    return [
+        ...domains.map(item => describe("domain", item, item.domain, MANAGED_DOMAIN.test(item.domain))),
+        ...addresses.map(item => describe("address", item, item.addr, MANAGED_DESCRIPTION.test(item.description || "")))
+    ];
+}
+
+async function listReservations(req, res) {
+    if (!NGROK_APITOKEN) {
+        return res.status(500).json({ error: "Missing ngrok API token configuration." });
+    }
+
+    try {
+        const reservations = describeReservations(await listNgrokReservations());
+        return res.status(200).json({
+            region: NGROK_REGION,
+            orphans: reservations.filter(reservation => reservation.orphan).length,
+            reservations
+        });
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: `Failed to list reservations: ${error.message}` });
+    }
+}
+
+async function releaseReservation(req, res) {
+    const { id } = req.params;
+    if (!NGROK_APITOKEN) {
+        return res.status(500).json({ error: "Missing ngrok API token configuration." });
+    }
+
+    try {
+        const reservation = describeReservations(await listNgrokReservations()).find(item => item.id === id);
+        if (!reservation) {
+            return res.status(404).json({ error: `Reservation '${id}' not found.` });
+        }
+        if (reservation.projectName) {
+            return res.status(409).json({
+                error: `Reservation '${reservation.endpoint}' is still used by deployment '${reservation.projectName}'.`
+            });
+        }
+
+        await deleteNgrokReservation(id);
+        return res.status(200).json({ message: `Released ${reservation.endpoint}`, reservation });
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: `Failed to release reservation: ${error.message}` });
+    }
+}
+
+module.exports = { listReservations, releaseReservation };
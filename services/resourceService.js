@@ -0,0 +1,69 @@
+const os = require("os");
+const {
+    DEFAULT_MEMORY,
+    MAX_MEMORY,
+    DEFAULT_CPUS,
+    MAX_CPUS,
+    DEFAULT_PIDS_LIMIT,
+    MAX_PIDS_LIMIT
+} = require("../config");
+
+const MEMORY_UNITS = { b: 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+const MEMORY_PATTERN = /^(\d+(?:\.\d+)?)([bkmg]?)$/i;
+
+// Docker refuses anything below 6 MB, and no app we build starts in less than this
+const MIN_MEMORY = 32 * MEMORY_UNITS.m;
+
+// Docker refuses more CPUs than the host has, so the configured values are capped to it
+const HOST_CPUS = os.cpus().length;
+
+// "512m" -> bytes, a bare number is already bytes like on the docker CLI
+function parseMemory(value) {
+    const match = String(value).trim().match(MEMORY_PATTERN);
+    if (!match) return null;
+    return Math.floor(parseFloat(match[1]) * MEMORY_UNITS[(match[2] || "b").toLowerCase()]);
+}
+
+function formatMemory(bytes) {
+    for (const unit of ["g", "m", "k"]) {
+        if (bytes % MEMORY_UNITS[unit] === 0) return `${bytes / MEMORY_UNITS[unit]}${unit}`;
+    }
+    return `${bytes}b`;
+}
+
+// What a request may ask for, the maximums are set per server
+const LIMIT_RANGES = {
+    memory: { min: MIN_MEMORY, max: parseMemory(MAX_MEMORY) },
+    cpus: { min: 0.01, max: Math.min(MAX_CPUS, HOST_CPUS) },
+    pidsLimit: { min: 16, max: MAX_PIDS_LIMIT }
+};
+
+const DEFAULTS = {
+    memory: parseMemory(DEFAULT_MEMORY),
+    cpus: Math.min(DEFAULT_CPUS, HOST_CPUS),
+    pidsLimit: DEFAULT_PIDS_LIMIT
+};
+
+// Fields left out of the request keep the deployment's previous limits, then the server defaults
+function resolveLimits(body = {}, previous = {}) {
+    const pick = (field, parse) => body[field] !== undefined && body[field] !== ""
+        ? parse(body[field])
+        : previous[field] || DEFAULTS[field];
+    return {
+        memory: pick("memory", parseMemory),
+        cpus: pick("cpus", Number),
+        pidsLimit: pick("pidsLimit", value => parseInt(value, 10))
+    };
+}
+
+// Swap is capped at the memory limit so an app over its limit is OOM killed instead of thrashing
+function hostConfigLimits(limits) {
+    return {
+        Memory: limits.memory,
+        MemorySwap: limits.memory,
+        NanoCpus: Math.round(limits.cpus * 1e9),
+        PidsLimit: limits.pidsLimit
+    };
+}
+
+module.exports = { LIMIT_RANGES, parseMemory, formatMemory, resolveLimits, hostConfigLimits };
@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { SECRETS_KEY, SECRETS_KEY_PATH } = require("../config");
+
+const ALGORITHM = "aes-256-gcm";
+const MASK = "********";
+
+// Masking shorter values would garble every log line that happens to contain them
+const MIN_MASKED_LENGTH = 4;
+
+// Bundlers inline these into the client code, so they have to exist while the image builds
+const BUILD_TIME_PREFIXES = ["VITE_", "REACT_APP_", "NEXT_PUBLIC_", "VUE_APP_", "NG_APP_"];
+
+let key = null;
+
+function loadKey() {
+    if (key) return key;
+    if (SECRETS_KEY) {
+        key = crypto.createHash("sha256").update(SECRETS_KEY).digest();
+        return key;
+    }
+
+    try {
+        key = Buffer.from(fs.readFileSync(SECRETS_KEY_PATH, "utf8").trim(), "base64");
+    } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+        key = crypto.randomBytes(32);
+        fs.mkdirSync(path.dirname(SECRETS_KEY_PATH), { recursive: true });
+        fs.writeFileSync(SECRETS_KEY_PATH, key.toString("base64"), { mode: 0o600 });
+        console.warn(`WARNING: DEPLOYIFY_SECRETS_KEY is not set, generated a key at ${SECRETS_KEY_PATH}. Stored env vars cannot be read without it.`);
+    }
+    return key;
+}
+
+// iv:tag:ciphertext, all base64
+function encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, loadKey(), iv);
+    const data = Buffer.concat([cipher.update(value, "utf8"), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(part => part.toString("base64")).join(":");
+}
+
+function decrypt(payload) {
+    const [iv, tag, data] = payload.split(":").map(part => Buffer.from(part, "base64"));
+    const decipher = crypto.createDecipheriv(ALGORITHM, loadKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+}
+
+function isBuildTime(name) {
+    return BUILD_TIME_PREFIXES.some(prefix => name.startsWith(prefix));
+}
+
+// Applies a request's env, secrets and unset fields to a deployment's stored variables
+function mergeEnv(stored = {}, { env = {}, secrets = {}, unset = [] } = {}) {
+    const next = { ...stored };
+    const updatedAt = new Date().toISOString();
+    for (const name of unset) delete next[name];
+    for (const [name, value] of Object.entries(env)) {
+        next[name] = { value: encrypt(String(value)), secret: false, updatedAt };
+    }
+    for (const [name, value] of Object.entries(secrets)) {
+        next[name] = { value: encrypt(String(value)), secret: true, updatedAt };
+    }
+    return next;
+}
+
+function containerEnv(stored = {}) {
+    return Object.entries(stored).map(([name, entry]) => `${name}=${decrypt(entry.value)}`);
+}
+
+// Secrets are never passed at build time, build args stay readable in the image history
+function buildArgs(stored = {}) {
+    const args = {};
+    for (const [name, entry] of Object.entries(stored)) {
+        if (!entry.secret && isBuildTime(name)) args[name] = decrypt(entry.value);
+    }
+    return args;
+}
+
+function describeEnv(stored = {}) {
+    return Object.entries(stored).map(([name, entry]) => ({
+        name,
+        value: entry.secret ? MASK : decrypt(entry.value),
+        secret: entry.secret,
+        buildTime: !entry.secret && isBuildTime(name),
+        updatedAt: entry.updatedAt
+    }));
+}
+
+function secretValues(stored = {}) {
+    return Object.values(stored)
+        .filter(entry => entry.secret)
+        .map(entry => decrypt(entry.value))
+        .filter(value => value.length >= MIN_MASKED_LENGTH);
+}
+
+// Replaces every occurrence of a secret value, longest first so overlapping secrets stay hidden
+function maskSecrets(text, values) {
+    if (!text || !values.length) return text;
+    return [...values]
+        .sort((a, b) => b.length - a.length)
+        .reduce((masked, value) => masked.split(value).join(MASK), text);
+}
+
+// Database credentials are kept like secret env vars, the password is only ever shown in the
+// response of the deploy that generated it
+function sealCredentials({ username, password, connectionString }) {
+    return { username, password: encrypt(password), connectionString: encrypt(connectionString), encrypted: true };
+}
+
+// Records from before credentials were encrypted hold them in plain text
+function describeCredentials(credentials) {
+    if (!credentials) return undefined;
+    const connectionString = credentials.encrypted ? decrypt(credentials.connectionString) : credentials.connectionString;
+    return {
+        username: credentials.username,
+        password: MASK,
+        connectionString: connectionString.replace(/^(\w+:\/\/[^:@/]+):[^@]*@/, `$1:${MASK}@`)
+    };
+}
+
+// "NAME=value" entries as docker inspect reports them
+function maskEnvEntries(entries, stored = {}) {
+    return entries.map(entry => {
+        const name = entry.slice(0, entry.indexOf("="));
+        return stored[name] && stored[name].secret ? `${name}=${MASK}` : entry;
+    });
+}
+
+module.exports = {
+    encrypt,
+    decrypt,
+    isBuildTime,
+    mergeEnv,
+    containerEnv,
+    buildArgs,
+    describeEnv,
+    secretValues,
+    maskSecrets,
+    maskEnvEntries,
+    sealCredentials,
+    describeCredentials
+};
@@ -0,0 +1,408 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { spawn } = require("child_process");
+const { pipeline } = require("stream/promises");
+const tar = require("tar");
+const yauzl = require("yauzl");
+const { PROJECTS_DIR, MAX_EXTRACTED_SIZE, MAX_ARCHIVE_FILES, GIT_TIMEOUT } = require("../config");
+const { cancellationError } = require("../utils");
+
+const IGNORE_FILES = [".deployifyignore", ".dockerignore"];
+// Transports such as ext:: run arbitrary commands, only plain remotes are allowed
+const REMOTE_PROTOCOLS = "git:http:https:ssh";
+
+function archiveType(fileName) {
+    if (/\.zip$/i.test(fileName)) return "zip";
+    if (/\.(tar\.gz|tgz)$/i.test(fileName)) return "tar.gz";
+    return null;
+}
+
+function resolveInside(root, entryName) {
+    const target = path.resolve(root, entryName);
+    if (target !== root && !target.startsWith(root + path.sep)) return null;
+    return target;
+}
+
+// Guards against archive bombs by capping what an archive may expand to
+function createBudget() {
+    let files = 0;
+    let bytes = 0;
+
+    return (size) => {
+        files++;
+        bytes += size;
+        if (files > MAX_ARCHIVE_FILES) {
+            throw new Error(`Archive contains more than ${MAX_ARCHIVE_FILES} files`);
+        }
+        if (bytes > MAX_EXTRACTED_SIZE) {
+            throw new Error(`Archive expands to more than ${Math.floor(MAX_EXTRACTED_SIZE / 1024 / 1024)} MB`);
+        }
+    };
+}
+
+function extractZip(archivePath, destDir, charge) {
+    return new Promise((resolve, reject) => {
+        yauzl.open(archivePath, { lazyEntries: true }, (err, zipfile) => {
+            if (err) return reject(new Error(`Invalid zip archive: ${err.message}`));
+
+            const fail = (error) => {
+                zipfile.close();
+                reject(error);
+            };
+
+            zipfile.on("error", fail);
+            zipfile.on("end", resolve);
+            zipfile.on("entry", (entry) => {
+                const target = resolveInside(destDir, entry.fileName);
+                if (!target) return fail(new Error(`Archive entry escapes the project: ${entry.fileName}`));
+
+                if (/\/$/.test(entry.fileName)) {
+                    fs.mkdirSync(target, { recursive: true });
+                    return zipfile.readEntry();
+                }
+
+                // Symlinks could point anywhere on the host, so they are dropped
+                const mode = (entry.externalFileAttributes >>> 16) & 0o170000;
+                if (mode === 0o120000) return zipfile.readEntry();
+
+                try {
+                    charge(entry.uncompressedSize);
+                } catch (error) {
+                    return fail(error);
+                }
+
+                zipfile.openReadStream(entry, (streamErr, readStream) => {
+                    if (streamErr) return fail(streamErr);
+                    fs.mkdirSync(path.dirname(target), { recursive: true });
+                    pipeline(readStream, fs.createWriteStream(target))
+                        .then(() => zipfile.readEntry())
+                        .catch(fail);
+                });
+            });
+            zipfile.readEntry();
+        });
+    });
+}
+
+async function extractTarGz(archivePath, destDir, charge) {
+    let budgetError = null;
+
+    await tar.x({
+        file: archivePath,
+        cwd: destDir,
+        strict: true,
+        filter: (entryPath, entry) => {
+            if (budgetError || (entry.type !== "File" && entry.type !== "Directory")) return false;
+            if (!resolveInside(destDir, entryPath)) {
+                budgetError = new Error(`Archive entry escapes the project: ${entryPath}`);
+                return false;
+            }
+            if (entry.type === "File") {
+                try {
+                    charge(entry.size);
+                } catch (error) {
+                    budgetError = error;
+                    return false;
+                }
+            }
+            return true;
+        }
+    });
+
+    if (budgetError) throw budgetError;
+}
+
+function createStagingDirectory() {
+    const stagingPath = path.join(PROJECTS_DIR, `.staging-${crypto.randomBytes(6).toString("hex")}`);
+    fs.mkdirSync(stagingPath, { recursive: true });
+    return stagingPath;
+}
+
+function moveIntoPlace(root, projectPath) {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+    fs.mkdirSync(path.dirname(projectPath), { recursive: true });
+    fs.renameSync(root, projectPath);
+}
+
+// Extracts into a staging directory first so a project wrapped in a single top level
+// folder (as GitHub and most zip tools produce) lands at the project root
+async function extractArchive(archivePath, originalName, projectPath) {
+    const type = archiveType(originalName);
+    if (!type) {
+        throw new Error("Unsupported archive type, expected .zip or .tar.gz");
+    }
+
+    const stagingPath = createStagingDirectory();
+
+    try {
+        const charge = createBudget();
+        if (type === "zip") await extractZip(archivePath, stagingPath, charge);
+        else await extractTarGz(archivePath, stagingPath, charge);
+
+        const entries = fs.readdirSync(stagingPath, { withFileTypes: true })
+            .filter(entry => entry.name !== "__MACOSX");
+        const root = entries.length === 1 && entries[0].isDirectory()
+            ? path.join(stagingPath, entries[0].name)
+            : stagingPath;
+
+        moveIntoPlace(root, projectPath);
+    } finally {
+        fs.rmSync(stagingPath, { recursive: true, force: true });
+    }
+}
+
+// Credentials embedded in a remote URL must never reach logs or error messages
+function redactUrl(text) {
+    return text.replace(/([a-z][a-z0-9+.-]*:\/\/)[^/@\s]+@/gi, "$1***@");
+}
+
+// The record kept for a deployment carries neither credentials nor URL user info
+function describeGitSource(source) {
+    return {
+        type: "git",
+        url: redactUrl(source.url),
+        ref: source.ref || null,
+        subdirectory: source.subdirectory || null
+    };
+}
+
+function gitEnvironment(source, keyPath) {
+    const env = {
+        ...process.env,
+        GIT_TERMINAL_PROMPT: "0",
+        // A local repository may only be named by the deploy itself, never by a submodule
+        GIT_ALLOW_PROTOCOL: /^file:\/\//i.test(source.url) ? `file:${REMOTE_PROTOCOLS}` : REMOTE_PROTOCOLS
+    };
+
+    // Passed as environment config so the token never shows up in the process list, and
+    // scoped to the source's origin so submodules on other hosts never receive it
+    if (source.token) {
+        const credentials = Buffer.from(`${source.username || "x-access-token"}:${source.token}`).toString("base64");
+        env.GIT_CONFIG_COUNT = "1";
+        env.GIT_CONFIG_KEY_0 = `http.${new URL(source.url).origin}/.extraHeader`;
+        env.GIT_CONFIG_VALUE_0 = `Authorization: Basic ${credentials}`;
+    }
+    if (keyPath) {
+        env.GIT_SSH_COMMAND = `ssh -i "${keyPath}" -o IdentitiesOnly=yes -o StrictHostKeyChecking=accept-new`;
+    }
+    return env;
+}
+
+function runGit(args, { cwd, env, signal, onOutput }) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(cancellationError());
+
+        const child = spawn("git", args, { cwd, env, signal, timeout: GIT_TIMEOUT });
+        let stdout = "";
+        let stderr = "";
+
+        child.stdout.on("data", chunk => {
+            stdout += chunk;
+        });
+        child.stderr.on("data", chunk => {
+            stderr += chunk;
+            if (!onOutput) return;
+            for (const line of redactUrl(chunk.toString("utf8")).split(/[\r\n]+/)) {
+                if (line.trim()) onOutput(line);
+            }
+        });
+
+        child.on("error", error => {
+            if (signal && signal.aborted) return reject(cancellationError());
+            return reject(new Error(`git ${args[0]} failed: ${error.message}`));
+        });
+        child.on("close", (code, killSignal) => {
+            if (signal && signal.aborted) return reject(cancellationError());
+            if (code === 0) return resolve(stdout.trim());
+
+            const reason = killSignal ? `timed out after ${GIT_TIMEOUT / 1000}s` : redactUrl(stderr.trim()).split("\n").pop();
+            const error = new Error(`git ${args[0]} failed: ${reason}`);
+            error.exitCode = code;
+            return reject(error);
+        });
+    });
+}
+
+// Symlinks could point anywhere on the host, so they are dropped like in archives
+function removeSymlinks(dir) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isSymbolicLink()) fs.unlinkSync(fullPath);
+        else if (entry.isDirectory()) removeSymlinks(fullPath);
+    }
+}
+
+async function resolveCommit(git, ref) {
+    for (const candidate of [ref, `origin/${ref}`]) {
+        try {
+            return await git("rev-parse", "--verify", "--quiet", `${candidate}^{commit}`);
+        } catch (error) {
+            if (error.cancelled) throw error;
+        }
+    }
+    throw new Error(`Ref '${ref}' was not found in the repository`);
+}
+
+// Checks out a single ref of a repository into the project directory and reports the
+// commit it resolved to. Shallow fetches are tried first, servers that refuse to hand
+// out an arbitrary commit that way fall back to fetching every branch and tag.
+async function fetchGitSource(source, projectPath, { signal, onOutput } = {}) {
+    const stagingPath = createStagingDirectory();
+    let keyPath = null;
+
+    try {
+        if (source.sshKey) {
+            keyPath = path.join(os.tmpdir(), `deployify-key-${crypto.randomBytes(6).toString("hex")}`);
+            const key = source.sshKey.endsWith("\n") ? source.sshKey : `${source.sshKey}\n`;
+            fs.writeFileSync(keyPath, key, { mode: 0o600 });
+        }
+
+        const env = gitEnvironment(source, keyPath);
+        const git = (...args) => runGit(args, { cwd: stagingPath, env, signal, onOutput });
+        const ref = source.ref || "HEAD";
+
+        await git("init", "-q");
+        await git("remote", "add", "origin", source.url);
+
+        let commit;
+        try {
+            await git("fetch", "-q", "--depth", "1", "origin", ref);
+            commit = await git("rev-parse", "FETCH_HEAD");
+        } catch (error) {
+            if (error.cancelled) throw error;
+            await git("fetch", "-q", "--tags", "origin", "+refs/heads/*:refs/remotes/origin/*");
+            commit = await resolveCommit(git, ref);
+        }
+
+        await git("checkout", "-q", "--detach", commit);
+        if (fs.existsSync(path.join(stagingPath, ".gitmodules"))) {
+            await runGit(["submodule", "update", "-q", "--init", "--recursive", "--depth", "1"], {
+                cwd: stagingPath,
+                env: { ...env, GIT_ALLOW_PROTOCOL: REMOTE_PROTOCOLS },
+                signal,
+                onOutput
+            });
+        }
+        fs.rmSync(path.join(stagingPath, ".git"), { recursive: true, force: true });
+        removeSymlinks(stagingPath);
+
+        let root = stagingPath;
+        if (source.subdirectory) {
+            root = resolveInside(stagingPath, source.subdirectory);
+            if (!root || !fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+                throw new Error(`Subdirectory '${source.subdirectory}' does not exist at ${commit.slice(0, 12)}`);
+            }
+        }
+
+        const charge = createBudget();
+        for (const file of listProjectFiles(root)) {
+            charge(fs.statSync(path.join(root, file)).size);
+        }
+
+        moveIntoPlace(root, projectPath);
+        return { ...describeGitSource(source), commit };
+    } finally {
+        fs.rmSync(stagingPath, { recursive: true, force: true });
+        if (keyPath) fs.rmSync(keyPath, { force: true });
+    }
+}
+
+function globToRegExp(glob) {
+    let source = "";
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === "*" && glob[i + 1] === "*") {
+            source += glob[i + 2] === "/" ? "(?:.*/)?" : ".*";
+            i += glob[i + 2] === "/" ? 2 : 1;
+        } else if (char === "*") {
+            source += "[^/]*";
+        } else if (char === "?") {
+            source += "[^/]";
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+        }
+    }
+    return source;
+}
+
+// Patterns follow .gitignore rules: a pattern without a slash matches at any depth,
+// a leading slash anchors it to the project root and "!" re-includes a path
+function parseIgnoreRules(content) {
+    return content.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith("#"))
+        .map(line => {
+            const negate = line.startsWith("!");
+            let pattern = negate ? line.slice(1) : line;
+            pattern = pattern.replace(/\/+$/, "");
+            const anchored = pattern.startsWith("/") || pattern.includes("/");
+            pattern = pattern.replace(/^\/+/, "");
+            const prefix = anchored ? "^" : "^(?:.*/)?";
+            return { negate, regex: new RegExp(`${prefix}${globToRegExp(pattern)}$`) };
+        });
+}
+
+function isIgnored(relativePath, rules) {
+    const segments = relativePath.split("/");
+    let ignored = false;
+
+    // A match on any parent directory excludes everything beneath it
+    for (let depth = 1; depth <= segments.length; depth++) {
+        const candidate = segments.slice(0, depth).join("/");
+        for (const rule of rules) {
+            if (rule.regex.test(candidate)) ignored = !rule.negate;
+        }
+    }
+    return ignored;
+}
+
+function listProjectFiles(projectPath, relativeDir = "") {
+    const files = [];
+    const entries = fs.readdirSync(path.join(projectPath, relativeDir), { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) files.push(...listProjectFiles(projectPath, relativePath));
+        else if (entry.isFile()) files.push(relativePath);
+    }
+    return files;
+}
+
+function removeEmptyParents(projectPath, relativeDir) {
+    for (let dir = relativeDir; dir !== "." && dir !== ""; dir = path.dirname(dir)) {
+        const fullPath = path.join(projectPath, dir);
+        if (!fs.existsSync(fullPath) || fs.readdirSync(fullPath).length) return;
+        fs.rmdirSync(fullPath);
+    }
+}
+
+// The rules are applied here once, the ignore files are then dropped so the build does not
+// apply a .dockerignore again and exclude the Dockerfile and start script generated later
+function pruneIgnoredFiles(projectPath) {
+    const ignoreFile = IGNORE_FILES.find(name => fs.existsSync(path.join(projectPath, name)));
+    if (!ignoreFile) return { ignoreFile: null, removed: [] };
+
+    const rules = parseIgnoreRules(fs.readFileSync(path.join(projectPath, ignoreFile), "utf8"));
+    const removed = listProjectFiles(projectPath).filter(file => !IGNORE_FILES.includes(file) && isIgnored(file, rules));
+    for (const file of removed) {
+        fs.rmSync(path.join(projectPath, file), { force: true });
+        removeEmptyParents(projectPath, path.dirname(file));
+    }
+    for (const name of IGNORE_FILES) {
+        fs.rmSync(path.join(projectPath, name), { force: true });
+    }
+    return { ignoreFile, removed };
+}
+
+module.exports = {
+    archiveType,
+    extractArchive,
+    fetchGitSource,
+    describeGitSource,
+    resolveInside,
+    listProjectFiles,
+    pruneIgnoredFiles
+};
@@ -0,0 +1,466 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const tar = require("tar");
+const localtunnel = require("localtunnel");
+const {
+    NGROK_AUTHTOKEN,
+    NGROK_APITOKEN,
+    NGROK_REGION,
+    TUNNEL_PROVIDER,
+    LOCALTUNNEL_HOST,
+    PUBLIC_HOST,
+    PROXY_PORT,
+    PROXY_BASE_DOMAIN,
+    DEFAULT_RESTART_POLICY
+} = require("../config");
+const { docker, ensureImageExists, cleanupContainer, findContainer, execInContainer, restartPolicyConfig, pullLogger } = require("./dockerService");
+const {
+    createNgrokReservedDomain,
+    createNgrokReservedAddress,
+    deleteNgrokReservedDomain,
+    deleteNgrokReservedAddress,
+    reserveNgrokDomain,
+    generateTrafficPolicy,
+    generateNgrokConfig
+} = require("./ngrokService");
+const registry = require("./registryService");
+const { proxyHost, proxyUrl } = require("./proxyService");
+
+const NGROK_IMAGE = "ngrok/ngrok";
+const NGROK_CONFIG_DIR = "/tmp";
+const REOPEN_DELAY = 5000;
+
+// Every provider is named after the ngrok sidecar, even those that run no container
+function sidecarName(projectName, suffix = "") {
+    return `ngrok-${projectName}${suffix}`;
+}
+
+// App containers from before the sidecar run the agent themselves, a swap may have to stop it
+// to free an endpoint that was reserved without pooling
+function stopLegacyAgent(containerId) {
+    return execInContainer(containerId, ["sh", "-c", "kill $(pidof ngrok) 2>/dev/null; true"]);
+}
+
+function startLegacyAgent(containerId) {
+    return execInContainer(
+        containerId,
+        ["/usr/local/bin/ngrok", "start", "--config", "/root/.config/ngrok/ngrok.yml", "--all"],
+        { detach: true }
+    );
+}
+
+const bareAddress = endpoint => endpoint.replace(/^tcp:\/\//, "");
+
+// The same traffic policy guards the reserved endpoint and every custom domain. Sidecars from
+// before host networking reach the app through the docker host gateway instead.
+function ngrokConfig({ type = "http", endpoint, domains = [], hostPort, access, upstreamHost = "127.0.0.1" }) {
+    const upstream = `${upstreamHost}:${hostPort}`;
+    const url = type === "tcp" ? `tcp://${bareAddress(endpoint)}` : `https://${endpoint}`;
+    const trafficPolicy = generateTrafficPolicy(access, type);
+    return {
+        url,
+        config: generateNgrokConfig([
+            { name: "default", url, upstream, pooling: type === "http", trafficPolicy },
+            ...domains.map(domain => ({ name: domain, url: `https://${domain}`, upstream, pooling: true, trafficPolicy }))
+        ])
+    };
+}
+
+// Containers only take files as tar archives, packed from a scratch directory
+async function copyIntoContainer(container, fileName, content, target) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployify-"));
+    try {
+        fs.writeFileSync(path.join(dir, fileName), content, { mode: 0o644 });
+        await container.putArchive(tar.c({ cwd: dir, portable: true }, [fileName]), { path: target });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// The agent runs in a container of its own on the host's network and reaches the app through
+// its loopback-only host port, so the authtoken never enters the app's container or image
+const ngrok = {
+    name: "ngrok",
+    protocols: ["http", "tcp"],
+    hostIp: "127.0.0.1",
+    accessRules: { http: ["basicAuth", "ips", "oauth"], tcp: ["ips"] },
+    // The rules are part of the agent config, changing them takes a new agent
+    rendersAccess: true,
+
+    missingConfiguration() {
+        if (!NGROK_AUTHTOKEN) return "Missing ngrok auth token configuration.";
+        return NGROK_APITOKEN ? null : "Missing ngrok API token configuration.";
+    },
+
+    reserve({ projectName, type }) {
+        return type === "tcp"
+            ? createNgrokReservedAddress(`deployify-${projectName}`)
+            : createNgrokReservedDomain(`deployify-${projectName}`);
+    },
+
+    release(endpoint, type) {
+        return type === "tcp" ? deleteNgrokReservedAddress(endpoint) : deleteNgrokReservedDomain(endpoint);
+    },
+
+    async start({ name, type = "http", endpoint, domains = [], access, hostPort, restartPolicy, sessionId, signal }) {
+        await ensureImageExists(NGROK_IMAGE, { onEvent: pullLogger(sessionId, NGROK_IMAGE), signal });
+        await cleanupContainer(name);
+
+        const { url, config } = ngrokConfig({ type, endpoint, domains, hostPort, access });
+
+        const args = ["start", "--all", `--config=${NGROK_CONFIG_DIR}/ngrok.yml`, "--log=stdout"];
+        // Reserved TCP addresses only accept agents connected to the region they were reserved in
+        if (type === "tcp") args.push(`--region=${NGROK_REGION}`);
+        const container = await docker.createContainer({
+            Image: NGROK_IMAGE,
+            name,
+            Cmd: args,
+            Env: [`NGROK_AUTHTOKEN=${NGROK_AUTHTOKEN}`],
+            HostConfig: {
+                NetworkMode: "host",
+                RestartPolicy: restartPolicyConfig(restartPolicy)
+            }
+        });
+        await copyIntoContainer(container, "ngrok.yml", config, NGROK_CONFIG_DIR);
+        await container.start();
+        return { id: container.id, url, domains };
+    },
+
+    // The agent logs "started tunnel" with the public URL once each endpoint is online
+    async waitUntilOnline(tunnel, endpoint, timeout = 15000) {
+        const container = docker.getContainer(tunnel.id);
+        const hostnames = [bareAddress(endpoint), ...(tunnel.domains || [])];
+        const deadline = Date.now() + timeout;
+
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            const started = (await container.logs({ stdout: true, stderr: true })).toString("utf8")
+                .split("\n")
+                .filter(line => line.includes("started tunnel"));
+            if (hostnames.every(hostname => started.some(line => line.includes(hostname)))) return true;
+
+            const info = await container.inspect();
+            if (!info.State.Running) return false;
+        }
+
+        return false;
+    },
+
+    async pause(name, { appContainerId }) {
+        const sidecar = await findContainer(name);
+        if (!sidecar) return stopLegacyAgent(appContainerId);
+        return docker.getContainer(sidecar.Id).stop({ t: 5 });
+    },
+
+    async resume(name, { appContainerId }) {
+        const sidecar = await findContainer(name);
+        if (!sidecar) return startLegacyAgent(appContainerId);
+        return docker.getContainer(sidecar.Id).start();
+    },
+
+    async promote(from, to) {
+        await cleanupContainer(to);
+        const sidecar = await findContainer(from);
+        if (sidecar) await docker.getContainer(sidecar.Id).rename({ name: to });
+    },
+
+    // A stopped sidecar reads the rewritten config when it is started again
+    async reconfigure(name, options) {
+        const sidecar = await findContainer(name);
+        if (!sidecar) return false;
+        const container = docker.getContainer(sidecar.Id);
+        const info = await container.inspect();
+        const upstreamHost = info.HostConfig.NetworkMode === "host" ? "127.0.0.1" : "host.docker.internal";
+        await copyIntoContainer(container, "ngrok.yml", ngrokConfig({ ...options, upstreamHost }).config, NGROK_CONFIG_DIR);
+        return true;
+    },
+
+    stop(name) {
+        return cleanupContainer(name);
+    },
+
+    // ngrok serves a custom domain once it is reserved and CNAMEd to the target it hands out
+    async attachDomain({ domain }) {
+        const reservation = await reserveNgrokDomain(domain);
+        return { type: "CNAME", name: domain, value: reservation.cname_target };
+    },
+
+    detachDomain({ domain }) {
+        return deleteNgrokReservedDomain(domain);
+    }
+};
+
+// localtunnel clients live in this process, keyed by sidecar name, and are reopened on restart
+const openTunnels = new Map();
+
+function connectLocaltunnel(entry) {
+    return localtunnel({ host: LOCALTUNNEL_HOST, local_host: "127.0.0.1", ...entry.options }).then(client => {
+        entry.client = client;
+        client.on("error", error => {
+            if (entry.client !== client || !entry.active) return;
+            console.warn(`WARNING: localtunnel to port ${entry.options.port} failed, reopening: ${error.message}`);
+            entry.client = null;
+            client.close();
+            setTimeout(() => {
+                if (!entry.active || entry.client) return;
+                connectLocaltunnel(entry).catch(reopenError => {
+                    console.warn(`WARNING: Could not reopen localtunnel to port ${entry.options.port}: ${reopenError.message}`);
+                });
+            }, REOPEN_DELAY).unref();
+        });
+        return client;
+    });
+}
+
+function disconnectLocaltunnel(entry) {
+    entry.active = false;
+    if (entry.client) entry.client.close();
+    entry.client = null;
+}
+
+// The endpoint is the requested subdomain. The server hands out another one while it is
+// taken, which is also how a swap notices the old tunnel still holds it.
+const localtunnelProvider = {
+    name: "localtunnel",
+    protocols: ["http"],
+    hostIp: "127.0.0.1",
+    accessRules: {},
+
+    missingConfiguration() {
+        return null;
+    },
+
+    async reserve({ projectName }) {
+        return `deployify-${projectName}`;
+    },
+
+    async release() {
+        return false;
+    },
+
+    async start({ name, endpoint, hostPort }) {
+        await this.stop(name);
+        const entry = { options: { port: hostPort, subdomain: endpoint }, client: null, active: true };
+        const client = await connectLocaltunnel(entry);
+        openTunnels.set(name, entry);
+        return { id: null, url: client.url };
+    },
+
+    async waitUntilOnline(tunnel, endpoint) {
+        return new URL(tunnel.url).hostname.split(".")[0] === endpoint;
+    },
+
+    async pause(name) {
+        const entry = openTunnels.get(name);
+        if (entry) disconnectLocaltunnel(entry);
+    },
+
+    async resume(name) {
+        const entry = openTunnels.get(name);
+        if (!entry || entry.active) return;
+        entry.active = true;
+        await connectLocaltunnel(entry);
+    },
+
+    async promote(from, to) {
+        await this.stop(to);
+        const entry = openTunnels.get(from);
+        openTunnels.delete(from);
+        if (entry) openTunnels.set(to, entry);
+    },
+
+    async stop(name) {
+        const entry = openTunnels.get(name);
+        openTunnels.delete(name);
+        if (entry) disconnectLocaltunnel(entry);
+    }
+};
+
+// No tunnel at all, the app is reached on its published host port. Meant for LANs and
+// offline test environments, the URL changes whenever a swap moves the host port.
+const local = {
+    name: "local",
+    protocols: ["http", "tcp"],
+    // The published port is the public URL
+    hostIp: "",
+    accessRules: {},
+
+    missingConfiguration() {
+        return null;
+    },
+
+    async reserve() {
+        return null;
+    },
+
+    async release() {
+        return false;
+    },
+
+    async start({ type = "http", hostPort }) {
+        return { id: null, url: type === "tcp" ? `tcp://${PUBLIC_HOST}:${hostPort}` : `http://${PUBLIC_HOST}:${hostPort}` };
+    },
+
+    async waitUntilOnline() {
+        return true;
+    },
+
+    async pause() { },
+    async resume() { },
+    async promote() { },
+    async stop() { }
+};
+
+// Publishes through Deployify's own reverse proxy, which routes by host name and so keeps the
+// URL across swaps. Whatever fronts the proxy (one tunnel, an ingress) serves every deployment.
+const proxy = {
+    name: "proxy",
+    protocols: ["http"],
+    hostIp: "127.0.0.1",
+    // The proxy has no OAuth client of its own
+    accessRules: { http: ["basicAuth", "ips"] },
+
+    missingConfiguration() {
+        return PROXY_PORT ? null : "The reverse proxy is turned off, set PROXY_PORT to use it.";
+    },
+
+    async reserve({ projectName }) {
+        return proxyHost(projectName);
+    },
+
+    async release() {
+        return false;
+    },
+
+    async start({ endpoint }) {
+        return { id: null, url: proxyUrl(endpoint.split(".")[0]) };
+    },
+
+    // Custom domains are CNAMEd to <project>.<PROXY_BASE_DOMAIN>, which public DNS cannot resolve
+    // while that is the localhost default
+    missingDomainConfiguration() {
+        return PROXY_BASE_DOMAIN === "localhost"
+            ? "Custom domains need a public PROXY_BASE_DOMAIN with a wildcard DNS record pointing at the proxy."
+            : null;
+    },
+
+    // The proxy routes verified custom domains by their Host header
+    async attachDomain({ projectName, domain }) {
+        return { type: "CNAME", name: domain, value: proxyHost(projectName) };
+    },
+
+    async detachDomain() {
+        return false;
+    },
+
+    async waitUntilOnline() {
+        return true;
+    },
+
+    async pause() { },
+    async resume() { },
+    async promote() { },
+    async stop() { }
+};
+
+const PROVIDERS = { ngrok, localtunnel: localtunnelProvider, local, proxy };
+
+function getProvider(name = TUNNEL_PROVIDER) {
+    const provider = PROVIDERS[name];
+    if (!provider) throw new Error(`Unknown tunnel provider '${name}', expected one of ${Object.keys(PROVIDERS).join(", ")}`);
+    return provider;
+}
+
+// Deployments from before tunnel providers all publish through an ngrok reservation
+function tunnelFor(record, projectName) {
+    if (record && record.tunnel) return record.tunnel;
+    return {
+        provider: "ngrok",
+        type: record && record.type === "mongodb" ? "tcp" : "http",
+        endpoint: (record && record.ngrokEndpoint) || `deployify-${projectName}.ngrok.app`
+    };
+}
+
+// Custom domains are only published once their DNS records have been verified
+function publishedDomains(record) {
+    return ((record && record.domains) || []).filter(entry => entry.verified).map(entry => entry.domain);
+}
+
+// Brings up a replacement tunnel next to the current one and retires the current one once the
+// replacement is online. Endpoints without pooling need the current tunnel to let go first.
+async function replaceTunnel(provider, { projectName, appContainerId, ...options }) {
+    const name = sidecarName(projectName);
+    const nextName = sidecarName(projectName, "_next");
+    let paused = false;
+
+    try {
+        let next = await provider.start({ ...options, name: nextName });
+        if (!(await provider.waitUntilOnline(next, options.endpoint))) {
+            await provider.pause(name, { appContainerId });
+            paused = true;
+            next = await provider.start({ ...options, name: nextName });
+            if (!(await provider.waitUntilOnline(next, options.endpoint))) {
+                throw new Error(`The ${provider.name} tunnel did not come online`);
+            }
+        }
+        await provider.promote(nextName, name);
+        return next;
+    } catch (error) {
+        await provider.stop(nextName);
+        if (paused) await provider.resume(name, { appContainerId }).catch(() => { });
+        throw error;
+    }
+}
+
+// Applies a deployment's current domains and access rules to its tunnel. A running tunnel is
+// replaced without downtime, a stopped one picks them up when it is started again.
+async function republishTunnel(projectName) {
+    const record = registry.getDeployment(projectName);
+    const tunnel = tunnelFor(record, projectName);
+    const provider = getProvider(tunnel.provider);
+    const options = {
+        type: tunnel.type,
+        endpoint: tunnel.endpoint,
+        domains: publishedDomains(record),
+        access: record.access,
+        hostPort: record.exposedPort,
+        restartPolicy: record.restartPolicy || DEFAULT_RESTART_POLICY
+    };
+
+    const container = await findContainer(`deployify-${projectName}`);
+    if (container && container.State === "running") {
+        await replaceTunnel(provider, { projectName, appContainerId: container.Id, ...options });
+        return true;
+    }
+    if (provider.reconfigure) await provider.reconfigure(sidecarName(projectName), options);
+    return false;
+}
+
+// Only localtunnel keeps state in this process, containers of the other providers restart themselves
+async function restoreTunnels() {
+    for (const record of registry.listDeployments()) {
+        if (!record.tunnel || record.tunnel.provider !== "localtunnel" || record.status !== "running") continue;
+        try {
+            const tunnel = await localtunnelProvider.start({
+                name: sidecarName(record.projectName),
+                endpoint: record.tunnel.endpoint,
+                hostPort: record.exposedPort
+            });
+            if (tunnel.url !== record.url) registry.saveDeployment(record.projectName, { url: tunnel.url });
+        } catch (error) {
+            console.warn(`WARNING: Could not reopen the localtunnel for ${record.projectName}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = {
+    PROVIDERS,
+    getProvider,
+    tunnelFor,
+    sidecarName,
+    publishedDomains,
+    replaceTunnel,
+    republishTunnel,
+    restoreTunnels
+};
@@ -0,0 +1,584 @@
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+const {
+    MAX_UPLOAD_FILES,
+    MAX_UPLOAD_FILE_SIZE,
+    MAX_UPLOAD_SIZE,
+    MAX_ENV_VARS,
+    MAX_ENV_VALUE_SIZE,
+    TUNNEL_PROVIDER,
+    PROXY_BASE_DOMAIN
+} = require("../config");
+const { archiveType } = require("./sourceService");
+const registry = require("./registryService");
+const { LIMIT_RANGES, parseMemory, formatMemory } = require("./resourceService");
+const { PROVIDERS, tunnelFor } = require("./tunnelService");
+const { RULE_LABELS, ruleKinds } = require("./accessService");
+
+const LANGUAGES = ["nodejs", "python", "php", "golang", "nextjs", "reactjs", "vuejs", "angularjs", "html", "mongodb"];
+
+// Project names end up in container names, image tags, directories and the
+// deployify-<name> ngrok subdomain, which has to stay a valid 63 character DNS label
+const NAME_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/;
+const MAX_NAME_LENGTH = 63 - "deployify-".length;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+const GIT_URL_PATTERN = /^(?:(?:https?|ssh|git|file):\/\/\S+|[\w.-]+@[\w.-]+:\S+)$/;
+const GIT_REF_PATTERN = /^[\w./@^~{}-]+$/;
+const PROBE_TYPES = ["http", "tcp", "command"];
+const RESTART_POLICY_PATTERN = /^(?:no|always|unless-stopped|on-failure(?::\d{1,3})?)$/;
+// The path ends up inside a double quoted shell word in the image's HEALTHCHECK
+const PROBE_PATH_PATTERN = /^\/[^\s"'`$\\]*$/;
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// Set by Deployify itself in every app container
+const RESERVED_ENV_NAMES = ["PORT", "INTERNAL_PORT", "CONTAINER_PORT"];
+const DOMAIN_PATTERN = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{0,61}[a-z0-9]$/;
+// Hostnames under these already belong to a tunnel provider or the reverse proxy
+const MANAGED_DOMAINS = ["ngrok.app", "ngrok.io", "ngrok.dev", "ngrok-free.app", "ngrok-free.dev", "loca.lt", "localhost"];
+const ACCESS_FIELDS = ["basicAuth", "allow", "deny", "oauth"];
+// Usernames and passwords end up as user:password in the tunnel's basic auth credentials,
+// which ngrok only accepts with passwords of 8 to 128 characters
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+const MAX_ACCESS_ENTRIES = 100;
+const OAUTH_PROVIDERS = ["google", "github", "gitlab", "microsoft", "linkedin", "twitch"];
+// Emails are quoted into the traffic policy's expressions, so no quotes or backslashes
+const EMAIL_PATTERN = /^[A-Za-z0-9._%+-]+@(?:[A-Za-z0-9-]+\.)+[A-Za-z]{2,63}$/;
+
+function validateProjectName(name, problems) {
+    if (typeof name !== "string" || !name) {
+        problems.push("projectName is required");
+    } else if (name.length > MAX_NAME_LENGTH) {
+        problems.push(`projectName must be at most ${MAX_NAME_LENGTH} characters`);
+    } else if (!NAME_PATTERN.test(name)) {
+        problems.push("projectName may only contain lowercase letters, digits and hyphens, and must start and end with a letter or digit");
+    }
+}
+
+// Leaving language out lets the deploy detect it from the project files
+function validateLanguage(language, problems) {
+    if (language === undefined || language === "") return;
+    if (!LANGUAGES.includes(language)) {
+        problems.push(`language must be one of ${LANGUAGES.join(", ")}`);
+    }
+}
+
+function decodedSize(content) {
+    const padding = content.endsWith("==") ? 2 : content.endsWith("=") ? 1 : 0;
+    return Math.floor(content.length * 3 / 4) - padding;
+}
+
+function validateRelativePath(filePath, field, problems) {
+    if (typeof filePath !== "string" || !filePath) {
+        problems.push(`${field} is required`);
+        return null;
+    }
+    if (filePath.includes("\0") || filePath.includes("\\")) {
+        problems.push(`${field} '${filePath}' contains invalid characters`);
+        return null;
+    }
+    if (path.posix.isAbsolute(filePath) || /^[a-zA-Z]:/.test(filePath)) {
+        problems.push(`${field} '${filePath}' must be relative to the project root`);
+        return null;
+    }
+
+    const normalized = path.posix.normalize(filePath);
+    if (normalized === "." || normalized.endsWith("/")) {
+        problems.push(`${field} '${filePath}' does not name a file`);
+        return null;
+    }
+    if (normalized === ".." || normalized.startsWith("../")) {
+        problems.push(`${field} '${filePath}' escapes the project directory`);
+        return null;
+    }
+    return normalized;
+}
+
+function validateFiles(files, problems) {
+    if (!Array.isArray(files)) {
+        problems.push("files must be an array of { path, content } entries");
+        return;
+    }
+    if (!files.length) {
+        problems.push("files must not be empty");
+    }
+    if (files.length > MAX_UPLOAD_FILES) {
+        problems.push(`files may contain at most ${MAX_UPLOAD_FILES} entries`);
+        return;
+    }
+
+    const seen = new Set();
+    let totalSize = 0;
+
+    files.forEach((file, index) => {
+        const label = `files[${index}]`;
+        if (!file || typeof file !== "object") {
+            problems.push(`${label} must be an object`);
+            return;
+        }
+
+        const normalized = validateRelativePath(file.path, `${label}.path`, problems);
+        if (normalized) {
+            if (seen.has(normalized)) problems.push(`${label}.path '${file.path}' is a duplicate`);
+            seen.add(normalized);
+        }
+
+        if ((file.type && file.type !== "file") || file.target !== undefined) {
+            problems.push(`${label} must be a regular file, symlinks are not allowed`);
+        }
+
+        if (file.content === undefined || file.content === null) return;
+        if (typeof file.content !== "string" || !BASE64_PATTERN.test(file.content)) {
+            problems.push(`${label}.content must be base64 encoded`);
+            return;
+        }
+
+        const size = decodedSize(file.content);
+        totalSize += size;
+        if (size > MAX_UPLOAD_FILE_SIZE) {
+            problems.push(`${label} exceeds the ${MAX_UPLOAD_FILE_SIZE / 1024 / 1024} MB file size limit`);
+        }
+    });
+
+    if (totalSize > MAX_UPLOAD_SIZE) {
+        problems.push(`files exceed the ${MAX_UPLOAD_SIZE / 1024 / 1024} MB upload limit`);
+    }
+}
+
+function validateGitSource(source, problems) {
+    if (!source || typeof source !== "object" || Array.isArray(source)) {
+        problems.push("source must be an object");
+        return;
+    }
+    if (source.type !== "git") {
+        problems.push("source.type must be 'git'");
+    }
+
+    const { url, ref, subdirectory, token, username, sshKey } = source;
+    if (typeof url !== "string" || !url) {
+        problems.push("source.url is required");
+    } else if (!GIT_URL_PATTERN.test(url)) {
+        problems.push("source.url must be an http(s), ssh, git or file:// URL, or user@host:path");
+    }
+
+    if (ref !== undefined && (typeof ref !== "string" || !GIT_REF_PATTERN.test(ref) || ref.startsWith("-") || ref.includes(".."))) {
+        problems.push("source.ref must be a branch, tag or commit");
+    }
+    if (subdirectory !== undefined) {
+        validateRelativePath(subdirectory, "source.subdirectory", problems);
+    }
+
+    for (const field of ["token", "username", "sshKey"]) {
+        if (source[field] !== undefined && (typeof source[field] !== "string" || !source[field])) {
+            problems.push(`source.${field} must be a non-empty string`);
+        }
+    }
+    if (token && sshKey) {
+        problems.push("source accepts either a token or an sshKey, not both");
+    }
+    if (username && !token) {
+        problems.push("source.username is only used together with source.token");
+    }
+    if (typeof url === "string" && token && !/^https?:\/\//.test(url)) {
+        problems.push("source.token only applies to http(s) URLs");
+    }
+    if (typeof url === "string" && sshKey && /^(?:https?|file|git):\/\//.test(url)) {
+        problems.push("source.sshKey only applies to ssh URLs");
+    }
+}
+
+function validateSource(req, problems, { recordedSource = null } = {}) {
+    const { files, source } = req.body;
+    const provided = [
+        req.file && "an archive",
+        files !== undefined && "files",
+        source !== undefined && "a git source"
+    ].filter(Boolean);
+
+    if (provided.length > 1) {
+        problems.push(`send only one of files, an archive or a git source, got ${provided.join(" and ")}`);
+        return;
+    }
+    if (req.file) {
+        if (!archiveType(req.file.originalname)) problems.push("archive must be a .zip or .tar.gz file");
+        return;
+    }
+    if (source !== undefined) {
+        validateGitSource(source, problems);
+        return;
+    }
+    if (files === undefined) {
+        if (!recordedSource) problems.push("files, an archive or a git source is required");
+        return;
+    }
+    validateFiles(files, problems);
+}
+
+// Multipart requests carry every field as a string, so numeric strings are accepted too
+function validatePort(port, problems) {
+    if (port === undefined || port === "") return;
+    if (!/^\d+$/.test(String(port)) || port < 1 || port > 65535) {
+        problems.push("port must be an integer between 1 and 65535");
+    }
+}
+
+function validateRunCommand(runCommand, problems) {
+    if (runCommand === undefined || runCommand === "") return;
+    if (typeof runCommand !== "string" || /[\r\n\0]/.test(runCommand)) {
+        problems.push("runCommand must be a single line string");
+    }
+}
+
+function validateProbeTiming(readiness, field, min, max, problems) {
+    const value = readiness[field];
+    if (value === undefined) return;
+    if (!/^\d+$/.test(String(value)) || value < min || value > max) {
+        problems.push(`readiness.${field} must be a whole number of seconds between ${min} and ${max}`);
+    }
+}
+
+// Multipart requests carry structured fields as JSON strings, which are parsed in place
+function parseJsonField(req, field, problems) {
+    const value = req.body[field];
+    if (typeof value !== "string") return value;
+    if (value === "") {
+        delete req.body[field];
+        return undefined;
+    }
+    try {
+        req.body[field] = JSON.parse(value);
+        return req.body[field];
+    } catch (error) {
+        problems.push(`${field} must be valid JSON`);
+        return null;
+    }
+}
+
+function validateReadiness(req, problems, { language } = {}) {
+    const readiness = parseJsonField(req, "readiness", problems);
+    if (readiness === undefined || readiness === null) return;
+    if (typeof readiness !== "object" || Array.isArray(readiness)) {
+        problems.push("readiness must be an object");
+        return;
+    }
+
+    const { path: probePath, command } = readiness;
+    // Without a type the probe keeps the default one, an HTTP check or MongoDB's ping command
+    const type = readiness.type !== undefined ? readiness.type : language === "mongodb" ? "command" : "http";
+    if (!PROBE_TYPES.includes(type)) {
+        problems.push(`readiness.type must be one of ${PROBE_TYPES.join(", ")}`);
+    }
+    if (type === "http" && language === "mongodb") {
+        problems.push("readiness.type 'http' is not available for MongoDB, use tcp or command");
+    }
+    if (probePath !== undefined && (type !== "http" || typeof probePath !== "string" || !PROBE_PATH_PATTERN.test(probePath))) {
+        problems.push("readiness.path must be an absolute URL path without spaces or quotes, and only applies to http probes");
+    }
+    if (command !== undefined && type !== "command") {
+        problems.push("readiness.command only applies to command probes");
+    } else if ((command !== undefined || readiness.type === "command") && (typeof command !== "string" || !command.trim() || /[\r\n\0]/.test(command))) {
+        problems.push("readiness.command must be a single line string");
+    }
+    validateProbeTiming(readiness, "timeout", 1, 600, problems);
+    validateProbeTiming(readiness, "interval", 1, 60, problems);
+}
+
+function validateRestartPolicy(restartPolicy, problems) {
+    if (restartPolicy === undefined) return;
+    if (typeof restartPolicy !== "string" || !RESTART_POLICY_PATTERN.test(restartPolicy)) {
+        problems.push("restartPolicy must be one of no, always, unless-stopped or on-failure[:max-retries]");
+    }
+}
+
+function validateLimits({ memory, cpus, pidsLimit }, problems) {
+    const { memory: memoryRange, cpus: cpuRange, pidsLimit: pidsRange } = LIMIT_RANGES;
+
+    if (memory !== undefined && memory !== "") {
+        const bytes = parseMemory(memory);
+        if (bytes === null) {
+            problems.push("memory must be a size like 256m or 1g");
+        } else if (bytes < memoryRange.min || bytes > memoryRange.max) {
+            problems.push(`memory must be between ${formatMemory(memoryRange.min)} and ${formatMemory(memoryRange.max)}`);
+        }
+    }
+    if (cpus !== undefined && cpus !== "") {
+        const value = Number(cpus);
+        if (!Number.isFinite(value) || value < cpuRange.min || value > cpuRange.max) {
+            problems.push(`cpus must be a number between ${cpuRange.min} and ${cpuRange.max}`);
+        }
+    }
+    if (pidsLimit !== undefined && pidsLimit !== "") {
+        if (!/^\d+$/.test(String(pidsLimit)) || pidsLimit < pidsRange.min || pidsLimit > pidsRange.max) {
+            problems.push(`pidsLimit must be an integer between ${pidsRange.min} and ${pidsRange.max}`);
+        }
+    }
+}
+
+function validateEnvName(name, field, problems) {
+    if (!ENV_NAME_PATTERN.test(name)) {
+        problems.push(`${field} '${name}' must start with a letter or underscore and contain only letters, digits and underscores`);
+    } else if (RESERVED_ENV_NAMES.includes(name) || name.startsWith("DEPLOYIFY_")) {
+        problems.push(`${field} '${name}' is reserved`);
+    }
+}
+
+function validateEnvMap(req, field, problems) {
+    const values = parseJsonField(req, field, problems);
+    if (values === undefined || values === null) return [];
+    if (typeof values !== "object" || Array.isArray(values)) {
+        problems.push(`${field} must be an object of NAME: value pairs`);
+        return [];
+    }
+
+    for (const [name, value] of Object.entries(values)) {
+        validateEnvName(name, field, problems);
+        if (!["string", "number", "boolean"].includes(typeof value)) {
+            problems.push(`${field}.${name} must be a string`);
+        } else if (String(value).includes("\0")) {
+            problems.push(`${field}.${name} must not contain NUL characters`);
+        } else if (Buffer.byteLength(String(value)) > MAX_ENV_VALUE_SIZE) {
+            problems.push(`${field}.${name} exceeds ${MAX_ENV_VALUE_SIZE / 1024} KB`);
+        }
+    }
+    return Object.keys(values);
+}
+
+// Plain variables and secrets share one namespace in the container
+function validateEnvironment(req, problems) {
+    const env = validateEnvMap(req, "env", problems);
+    const secrets = validateEnvMap(req, "secrets", problems);
+    const unset = parseJsonField(req, "unset", problems);
+
+    for (const name of env.filter(candidate => secrets.includes(candidate))) {
+        problems.push(`'${name}' is set in both env and secrets`);
+    }
+    if (env.length + secrets.length > MAX_ENV_VARS) {
+        problems.push(`at most ${MAX_ENV_VARS} env vars and secrets can be set`);
+    }
+    if (unset !== undefined && unset !== null) {
+        if (!Array.isArray(unset) || unset.some(name => typeof name !== "string")) {
+            problems.push("unset must be an array of variable names");
+        } else {
+            for (const name of unset.filter(candidate => env.includes(candidate) || secrets.includes(candidate))) {
+                problems.push(`'${name}' cannot be set and unset in the same request`);
+            }
+        }
+    }
+    return env.length + secrets.length + (Array.isArray(unset) ? unset.length : 0);
+}
+
+function validateTunnel(tunnel, problems, { language } = {}) {
+    if (tunnel !== undefined && tunnel !== null && !PROVIDERS[tunnel]) {
+        problems.push(`tunnel must be one of ${Object.keys(PROVIDERS).join(", ")}`);
+        return;
+    }
+    const provider = PROVIDERS[tunnel || TUNNEL_PROVIDER];
+    if (language === "mongodb" && provider && !provider.protocols.includes("tcp")) {
+        const tcpProviders = Object.keys(PROVIDERS).filter(name => PROVIDERS[name].protocols.includes("tcp"));
+        problems.push(`tunnel '${provider.name}' only carries HTTP, MongoDB needs ${tcpProviders.join(" or ")}`);
+    }
+}
+
+function validateCidrs(field, ranges, problems) {
+    if (ranges === undefined || ranges === null) return;
+    if (!Array.isArray(ranges) || ranges.length > MAX_ACCESS_ENTRIES) {
+        problems.push(`access.${field} must be an array of at most ${MAX_ACCESS_ENTRIES} CIDR ranges`);
+        return;
+    }
+    for (const range of ranges) {
+        const [network, prefix, extra] = typeof range === "string" ? range.split("/") : [];
+        const family = net.isIP(network || "");
+        const bits = family === 6 ? 128 : 32;
+        if (!family || extra !== undefined || !/^\d{1,3}$/.test(prefix || "") || Number(prefix) > bits) {
+            problems.push(`access.${field} has '${range}', expected a CIDR range like 203.0.113.0/24 or 2001:db8::/32`);
+        }
+    }
+}
+
+function validateBasicAuth(users, problems, stored) {
+    if (users === undefined || users === null) return;
+    if (!Array.isArray(users) || users.length > MAX_ACCESS_ENTRIES) {
+        problems.push(`access.basicAuth must be an array of at most ${MAX_ACCESS_ENTRIES} users`);
+        return;
+    }
+    const seen = new Set();
+    for (const user of users) {
+        const { username, password } = user && typeof user === "object" ? user : {};
+        if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+            problems.push("access.basicAuth usernames are 1 to 64 letters, digits, '.', '_', '@' or '-'");
+            continue;
+        }
+        if (seen.has(username)) problems.push(`access.basicAuth lists '${username}' twice`);
+        seen.add(username);
+
+        const known = stored && stored.basicAuth.some(entry => entry.username === username);
+        if (password === undefined && !known) {
+            problems.push(`access.basicAuth needs a password for '${username}'`);
+        } else if (password !== undefined && (typeof password !== "string"
+            || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH)) {
+            problems.push(`access.basicAuth password for '${username}' must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`);
+        }
+    }
+}
+
+function validateOauth(oauth, problems) {
+    if (oauth === undefined || oauth === null) return;
+    if (typeof oauth !== "object" || Array.isArray(oauth)) {
+        problems.push("access.oauth must be an object");
+        return;
+    }
+    if (!OAUTH_PROVIDERS.includes(oauth.provider)) {
+        problems.push(`access.oauth.provider must be one of ${OAUTH_PROVIDERS.join(", ")}`);
+    }
+    const { emailDomains = [], emails = [] } = oauth;
+    if (!Array.isArray(emailDomains) || emailDomains.some(domain => typeof domain !== "string" || !DOMAIN_PATTERN.test(domain.toLowerCase()))) {
+        problems.push("access.oauth.emailDomains must be an array of domains like example.com");
+    }
+    if (!Array.isArray(emails) || emails.some(email => typeof email !== "string" || !EMAIL_PATTERN.test(email))) {
+        problems.push("access.oauth.emails must be an array of email addresses");
+    }
+}
+
+// Access rules are checked against the rules already stored, since an update only sends the
+// fields it changes, and against what the deployment's tunnel can enforce
+function validateAccess(access, problems, { provider, type = "http", stored = null } = {}) {
+    if (access === undefined || access === null) return;
+    if (typeof access !== "object" || Array.isArray(access)) {
+        problems.push("access must be an object");
+        return;
+    }
+    const before = problems.length;
+    const unknown = Object.keys(access).filter(field => !ACCESS_FIELDS.includes(field));
+    if (unknown.length) {
+        problems.push(`access only takes ${ACCESS_FIELDS.join(", ")}, not ${unknown.join(", ")}`);
+    }
+
+    validateBasicAuth(access.basicAuth, problems, stored);
+    validateCidrs("allow", access.allow, problems);
+    validateCidrs("deny", access.deny, problems);
+    validateOauth(access.oauth, problems);
+    if (problems.length > before) return;
+
+    const kinds = ruleKinds({ ...(stored || {}), ...access });
+    if (kinds.includes("basicAuth") && kinds.includes("oauth")) {
+        problems.push("access.basicAuth and access.oauth cannot be combined, choose one way to log in");
+    }
+    const unsupported = kinds.filter(kind => !provider || !(provider.accessRules[type] || []).includes(kind));
+    if (provider && unsupported.length) {
+        problems.push(`the ${provider.name} tunnel cannot enforce ${unsupported.map(kind => RULE_LABELS[kind]).join(" or ")}` +
+            `${type === "tcp" ? " for MongoDB" : ""}`);
+    }
+}
+
+function reject(req, res, problems) {
+    // Nothing downstream will consume the archive once the request is refused
+    if (req.file) fs.rmSync(req.file.path, { force: true });
+    return res.status(400).json({ error: "Invalid deployment request.", problems });
+}
+
+function validateDeployRequest(req, res, next) {
+    const problems = [];
+    const { projectName, language, runCommand } = req.body;
+
+    validateProjectName(projectName, problems);
+    validateLanguage(language, problems);
+    if (language !== "mongodb") {
+        validateSource(req, problems);
+        validatePort(req.body.port, problems);
+        validateRunCommand(runCommand, problems);
+        validateEnvironment(req, problems);
+    } else if (["env", "secrets", "unset"].some(field => req.body[field] !== undefined)) {
+        problems.push("env and secrets are not supported for MongoDB deployments");
+    }
+    validateReadiness(req, problems, { language });
+    validateRestartPolicy(req.body.restartPolicy, problems);
+    validateLimits(req.body, problems);
+    validateTunnel(req.body.tunnel, problems, { language });
+    validateAccess(parseJsonField(req, "access", problems), problems, {
+        provider: PROVIDERS[req.body.tunnel || TUNNEL_PROVIDER],
+        type: language === "mongodb" ? "tcp" : "http"
+    });
+
+    if (problems.length) return reject(req, res, problems);
+    return next();
+}
+
+function validateRedeployRequest(req, res, next) {
+    const problems = [];
+    const { language, runCommand } = req.body;
+
+    validateProjectName(req.params.name, problems);
+    validateLanguage(language, problems);
+    if (language === "mongodb") problems.push("MongoDB deployments cannot be redeployed from source");
+
+    const record = registry.getDeployment(req.params.name);
+    validateSource(req, problems, { recordedSource: record ? record.source : null });
+    validatePort(req.body.port, problems);
+    validateRunCommand(runCommand, problems);
+    validateReadiness(req, problems);
+    validateRestartPolicy(req.body.restartPolicy, problems);
+    validateLimits(req.body, problems);
+    validateEnvironment(req, problems);
+    // Moving to another provider would change the public URL, that takes a new deployment
+    if (req.body.tunnel !== undefined && req.body.tunnel !== tunnelFor(record, req.params.name).provider) {
+        problems.push("tunnel can only be chosen when deploying");
+    }
+
+    if (problems.length) return reject(req, res, problems);
+    return next();
+}
+
+function validateDomainRequest(req, res, next) {
+    const problems = [];
+    const { domain } = req.body;
+
+    if (typeof domain !== "string" || !domain) {
+        problems.push("domain is required");
+    } else {
+        const hostname = domain.toLowerCase().replace(/\.$/, "");
+        const managed = [...MANAGED_DOMAINS, PROXY_BASE_DOMAIN].find(suffix => hostname === suffix || hostname.endsWith(`.${suffix}`));
+        if (!DOMAIN_PATTERN.test(hostname)) {
+            problems.push("domain must be a fully qualified host name like www.example.com");
+        } else if (managed) {
+            problems.push(`domain cannot be under ${managed}, those host names are assigned by Deployify`);
+        }
+    }
+
+    if (problems.length) return res.status(400).json({ error: "Invalid domain.", problems });
+    return next();
+}
+
+function validateAccessRequest(req, res, next) {
+    const problems = [];
+    const record = registry.getDeployment(req.params.name);
+    // The handler answers for deployments that do not exist
+    if (!record) return next();
+
+    const tunnel = tunnelFor(record, req.params.name);
+    if (!ACCESS_FIELDS.some(field => req.body[field] !== undefined)) {
+        problems.push(`send ${ACCESS_FIELDS.join(", ")} to change, null clears a field`);
+    }
+    validateAccess(req.body, problems, { provider: PROVIDERS[tunnel.provider], type: tunnel.type, stored: record.access });
+
+    if (problems.length) return res.status(400).json({ error: "Invalid access rules.", problems });
+    return next();
+}
+
+function validateEnvRequest(req, res, next) {
+    const problems = [];
+    if (!validateEnvironment(req, problems) && !problems.length) {
+        problems.push("send env, secrets or unset to change");
+    }
+
+    if (problems.length) return res.status(400).json({ error: "Invalid environment update.", problems });
+    return next();
+}
+
+module.exports = {
+    validateDeployRequest,
+    validateRedeployRequest,
+    validateEnvRequest,
+    validateDomainRequest,
+    validateAccessRequest
+};
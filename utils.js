@@ -49,7 +49,43 @@ wait $APP_PID
 `;
 }
 
+// Collects undo steps as a deployment creates resources and replays them newest first
+function createRollback() {
+    const steps = [];
+
+    return {
+        add(description, undo) {
+            steps.push({ description, undo });
+        },
+        async run() {
+            const leftovers = [];
+            while (steps.length) {
+                const { description, undo } = steps.pop();
+                try {
+                    await undo();
+                } catch (err) {
+                    leftovers.push(`${description}: ${err.message}`);
+                }
+            }
+            return leftovers;
+        }
+    };
+}
+
+function cancellationError() {
+    const error = new Error("Deployment cancelled");
+    error.cancelled = true;
+    return error;
+}
+
+function throwIfCancelled(signal) {
+    if (signal && signal.aborted) throw cancellationError();
+}
+
 module.exports = {
     getAvailablePort,
-    createStartupScript
+    createStartupScript,
+    createRollback,
+    cancellationError,
+    throwIfCancelled
 };
\ No newline at end of file